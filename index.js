@@ -1,28 +1,93 @@
 const {
     Action,
+    ActionAbortedError,
+    ActionTimeoutError,
+    logCall,
+    logCallDecorator,
+    preserveContext,
     startAction,
     startTask,
     withAction
 } = require('./lib/action')
 
+const {
+    BatchDroppedError,
+    batchMessages
+} = require('./lib/batching')
+
 const {
     currentAction
 } = require('./lib/context')
 
+const {
+    registerExceptionExtractor
+} = require('./lib/errors')
+
+const {
+    configureJSONEncoder,
+    encodeJSON,
+    JSONEncoder,
+    registerJSONType
+} = require('./lib/json')
+
 const {
     Message
 } = require('./lib/message')
 
 const {
     addDestination,
+    addEnricher,
+    addGlobalFields,
+    closeDestinations,
+    configureBuffering,
+    createLogger,
+    destinationHealth,
+    Destinations,
+    flushDestinations,
     Logger,
-    MemoryLogger
+    MemoryLogger,
+    stopBuffering
 } = require('./lib/output')
 
 const {
+    installShutdownHandler
+} = require('./lib/shutdown')
+
+const {
+    configureRedaction
+} = require('./lib/redaction')
+
+const {
+    routeMessages
+} = require('./lib/routing')
+
+const {
+    configureSampling
+} = require('./lib/sampling')
+
+const {
+    enableSourceMaps
+} = require('./lib/sourcemaps')
+
+const {
+    formatPythonTraceback,
+    tracebackFrames,
     writeTraceback
 } = require('./lib/traceback')
 
+const {
+    openActions,
+    trackActions
+} = require('./lib/tracking')
+
+const {
+    configureTruncation
+} = require('./lib/truncation')
+
+const {
+    installUncaughtHandler
+} = require('./lib/uncaught')
+
 const {
     ActionType,
     BoundField,
@@ -33,24 +98,68 @@ const {
 } = require('./lib/validation')
 
 const testing = require('./lib/testing'),
-      destinations = require('./lib/destinations')
+      destinations = require('./lib/destinations'),
+      enrichment = require('./lib/enrichment'),
+      redaction = require('./lib/redaction')
 
 module.exports = {
     Action,
+    ActionAbortedError,
+    ActionTimeoutError,
+    logCall,
+    logCallDecorator,
+    preserveContext,
     startAction,
     startTask,
     withAction,
 
+    BatchDroppedError,
+    batchMessages,
+
     currentAction,
 
+    registerExceptionExtractor,
+
+    configureJSONEncoder,
+    encodeJSON,
+    JSONEncoder,
+    registerJSONType,
+
     Message,
 
     addDestination,
+    addEnricher,
+    addGlobalFields,
+    closeDestinations,
+    configureBuffering,
+    createLogger,
+    destinationHealth,
+    Destinations,
+    flushDestinations,
     Logger,
     MemoryLogger,
+    stopBuffering,
+
+    installShutdownHandler,
+
+    configureRedaction,
+
+    routeMessages,
 
+    configureSampling,
+
+    enableSourceMaps,
+    formatPythonTraceback,
+    tracebackFrames,
     writeTraceback,
 
+    openActions,
+    trackActions,
+
+    configureTruncation,
+
+    installUncaughtHandler,
+
     ActionType,
     BoundField,
     Field,
@@ -59,5 +168,7 @@ module.exports = {
     ValidationError,
 
     testing,
-    destinations
+    destinations,
+    enrichment,
+    redaction
 }
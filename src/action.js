@@ -1,6 +1,10 @@
+import ExtendableError from 'es6-error'
 import uuid from 'uuid'
 
 import {_context, currentAction} from './context'
+import {_causeSummary, _errorExtraction} from './errors'
+import * as _sampling from './sampling'
+import * as _tracking from './tracking'
 import {Message,
         TASK_UUID_FIELD,
         EXCEPTION_FIELD,
@@ -9,6 +13,7 @@ import {Message,
 
 export const ACTION_STATUS_FIELD = 'action_status'
 export const ACTION_TYPE_FIELD = 'action_type'
+export const DURATION_FIELD = 'eliot_duration'
 
 export const STARTED_STATUS = 'started'
 export const SUCCEEDED_STATUS = 'succeeded'
@@ -17,6 +22,75 @@ export const FAILED_STATUS = 'failed'
 export const VALID_STATUSES = (STARTED_STATUS, SUCCEEDED_STATUS, FAILED_STATUS)
 
 
+/**
+ * An action did not finish before its deadline.
+ */
+export class ActionTimeoutError extends ExtendableError {
+    constructor(message='Action did not finish before its deadline') {
+        super(message)
+    }
+}
+
+
+/**
+ * An action was aborted by an `AbortSignal`.
+ */
+export class ActionAbortedError extends ExtendableError {
+    /**
+     * @param {*} [reason] Reason the action was aborted, usually the
+     * signal's `reason`.
+     */
+    constructor(reason) {
+        super(reason === undefined
+              ? 'Action was aborted'
+              : `Action was aborted: ${reason}`)
+        /**
+         * Reason the action was aborted.
+         * @type {*}
+         */
+        this.reason = reason
+    }
+}
+
+
+/**
+ * Limits on how long an action may run.
+ *
+ * @typedef {object} ActionLimits
+ * @property {?number} [timeout] Seconds the action may run for.
+ * @property {?number} [deadline] Timestamp, in seconds, by which the action must
+ * have finished.
+ * @property {?AbortSignal} [signal] Signal that aborts the action.
+ */
+
+
+/**
+ * Actions that failed with an error, mapped by the error.
+ *
+ * Only the first, and therefore innermost, action to fail with an error is
+ * recorded.
+ * @type {WeakMap<object,Action>}
+ */
+const _failedActions = new WeakMap()
+
+
+/**
+ * Find the innermost action that failed with an error.
+ *
+ * @param {*} error Error.
+ * @return {?Action} Action that failed with `error`, or `null` if there is
+ * none.
+ */
+export function _actionForError(error) {
+    if (error === null ||
+        (typeof error !== 'object' && typeof error !== 'function')) {
+        return null
+    }
+    const action = _failedActions.get(error)
+    return action === undefined ? null : action
+}
+
+
 /**
  * The location of a message within the tree of actions of a task.
  */
@@ -137,6 +211,125 @@ export class Action {
          * @type {boolean}
          */
         this._finished = false
+        /**
+         * Timestamp, in seconds, by which this action must have finished.
+         * @type {?number}
+         */
+        this._deadline = null
+        /**
+         * Monotonic time, in seconds, at which this action was started.
+         * @type {?number}
+         */
+        this._startTime = null
+        this._clock = Action._clock
+        this._signals = []
+        this._controller = null
+        this._disarm = null
+        /**
+         * Sampling decision of this action's task, or `null` if the task is
+         * not sampled.
+         * @type {?_TaskSample}
+         */
+        this._sample = null
+    }
+
+    /**
+     * Signal that is aborted when this action times out or is aborted, or
+     * `null` if the action has no deadline or signal.
+     *
+     * Code running within the action can use this to stop work that is no
+     * longer needed, for example by passing it to `fetch`.
+     *
+     * @type {?AbortSignal}
+     */
+    get signal() {
+        return this._controller === null ? null : this._controller.signal
+    }
+
+    /**
+     * Constrain how long this action may run for.
+     *
+     * Limits are cumulative: the earliest deadline applies and any of the
+     * signals will abort the action. They take effect when the action starts.
+     *
+     * @param {ActionLimits} limits Limits to apply.
+     */
+    _limit({timeout=null, deadline=null, signal=null}={}) {
+        if (timeout !== null) {
+            const timeoutDeadline = Message._time() + timeout
+            deadline = (deadline === null
+                        ? timeoutDeadline
+                        : Math.min(deadline, timeoutDeadline))
+        }
+        if (deadline !== null) {
+            this._deadline = (this._deadline === null
+                              ? deadline
+                              : Math.min(this._deadline, deadline))
+        }
+        if (signal !== null) {
+            this._signals.push(signal)
+        }
+        if (this._controller === null &&
+            (this._deadline !== null || this._signals.length > 0) &&
+            typeof AbortController !== 'undefined') {
+            this._controller = new AbortController()
+        }
+    }
+
+    /**
+     * Start enforcing the action's deadline and signals.
+     */
+    _arm() {
+        if (this._deadline === null && this._signals.length === 0) {
+            return
+        }
+        let timer = null
+        const listeners = [],
+              disarm = () => {
+                  if (timer !== null) {
+                      clearTimeout(timer)
+                  }
+                  for (const [signal, listener] of listeners) {
+                      signal.removeEventListener('abort', listener)
+                  }
+              },
+              abortedBy = signal => (
+                  signal.reason instanceof ActionTimeoutError
+                      ? new ActionTimeoutError()
+                      : new ActionAbortedError(signal.reason))
+        this._disarm = disarm
+        for (const signal of this._signals) {
+            if (signal.aborted) {
+                this._abort(abortedBy(signal))
+                return
+            }
+            const listener = () => this._abort(abortedBy(signal))
+            signal.addEventListener('abort', listener)
+            listeners.push([signal, listener])
+        }
+        if (this._deadline !== null) {
+            timer = setTimeout(
+                () => this._abort(new ActionTimeoutError()),
+                Math.max(0, (this._deadline - Message._time()) * 1000))
+            if (typeof timer.unref === 'function') {
+                timer.unref()
+            }
+        }
+    }
+
+    /**
+     * Finish the action as failed and abort its signal.
+     *
+     * @param {Error} error Reason the action was aborted.
+     */
+    _abort(error) {
+        if (this._finished) {
+            return
+        }
+        this.finish(error)
+        if (this._controller !== null) {
+            this._controller.abort(error)
+        }
     }
 
     /**
@@ -146,14 +339,18 @@ export class Action {
      * `Action.serializeTaskId`.
      * @param {Logger} [logger] Logger to write messages to, or `null` to
      * use the default one.
+     * @param {object} [opt] Options.
+     * @param {?boolean} [opt.sampled] Sampling decision of the task, the
+     * output of `Action.samplingDecision`, or `null` to decide now.
      * @return {Action} Started action.
      */
-    static continueTask(taskId, logger=null) {
+    static continueTask(taskId, logger=null, {sampled=null}={}) {
         const [uuid, level] = taskId.split('@'),
               action = new Action(logger,
                                   uuid,
                                   TaskLevel.fromString(level),
                                   'eliot_js:remote_task')
+        action._sample = _sampling._sampleTask(action, sampled)
         action._start({})
         return action
     }
@@ -164,9 +361,19 @@ export class Action {
      * @return {string} Identifier of the current location within the task.
      */
     serializeTaskId() {
-        const uuid = this._identification[TASK_UUID_FIELD],
-              level = this._nextTaskLevel().toString()
-        return `${uuid}@${level}`
+        return `${this._identification[TASK_UUID_FIELD]}@${
+            this._nextTaskLevel().toString()}`
+    }
+
+    /**
+     * Sampling decision of the task, to be sent along with a serialized task
+     * identifier so that continuations of the task agree with it.
+     *
+     * @return {?boolean} Are the messages of the task kept, or `null` if the
+     * task is not sampled.
+     */
+    samplingDecision() {
+        return this._sample === null ? null : this._sample.keep
     }
 
     /**
@@ -191,13 +398,18 @@ export class Action {
      * @param {MessageDictionary} fields Fields being logged.
      */
     _start(fields) {
+        this._startTime = this._clock()
         fields[ACTION_STATUS_FIELD] = STARTED_STATUS
         Object.assign(fields, this._identification)
         const serializer = (this._serializers === null
                             ? null
                             : this._serializers.start),
               msg = new Message(fields, serializer)
+        if (_tracking._tracker !== null) {
+            _tracking._tracker._started(this)
+        }
         msg.write(this._logger, this)
+        this._arm()
     }
 
     /**
@@ -205,7 +417,9 @@ export class Action {
      *
      * The action's identification fields, additional fields and status and
      * additional fields will be logged. In the event of an exception, details
-     * of the exception will be logged.
+     * of the exception, including a summary of its causes, will be logged. If
+     * the action was started, its duration in seconds, measured with a
+     * monotonic clock, will also be logged.
      *
      * @param {Error} [error] Error the action finished with.
      */
@@ -214,6 +428,12 @@ export class Action {
             return
         }
         this._finished = true
+        if (this._disarm !== null) {
+            this._disarm()
+        }
+        if (_tracking._tracker !== null) {
+            _tracking._tracker._finished(this)
+        }
         let fields, serializer = null
         if (error === null) {
             fields = this._successFields
@@ -222,50 +442,68 @@ export class Action {
                 serializer = this._serializers.success
             }
         } else {
-            fields = {} // XXX: Get fields for exception?
+            fields = Object.assign(
+                _errorExtraction.getFieldsForError(this._logger, error),
+                _causeSummary(error))
             fields[EXCEPTION_FIELD] = error.name
             fields[REASON_FIELD] = error.toString()
             fields[ACTION_STATUS_FIELD] = FAILED_STATUS
+            if (_actionForError(error) === null &&
+                (typeof error === 'object' || typeof error === 'function')) {
+                _failedActions.set(error, this)
+            }
             if (this._serializers !== null) {
                 serializer = this._serializers.failure
             }
         }
+        if (this._startTime !== null) {
+            fields[DURATION_FIELD] = this._clock() - this._startTime
+        }
         Object.assign(fields, this._identification)
         const msg = new Message(fields, serializer)
         msg.write(this._logger, this)
+        if (this._sample !== null) {
+            this._sample._finished(this)
+        }
     }
 
     /**
      * Create a child action.
      *
-     * @param {Logger} logger Logger to write messages to.
+     * The child inherits this action's deadline and is aborted when this
+     * action is.
+     *
+     * @param {?Logger} logger Logger to write messages to, or `null` to use
+     * this action's logger.
      * @param {string} actionType Type of the child action.
      * @param {?_ActionSerializers} [serializers] Action serializers.
      * @return {Action} Child action.
      */
     child(logger, actionType, serializers=null) {
-        return new Action(
-            logger,
+        const child = new Action(
+            logger === null ? this._logger : logger,
             this._identification[TASK_UUID_FIELD],
             this._nextTaskLevel(),
             actionType,
             serializers)
+        child._limit({deadline: this._deadline, signal: this.signal})
+        child._sample = this._sample
+        return child
     }
 
     /**
      * Run the given function with this action as its execution context.
      *
+     * Where the environment supports asynchronous context tracking, any
+     * asynchronous work started by `f` will also run within this action.
+     * The action is not finished, see {@link withAction} for that.
+     *
      * @param {function} f Function called within the context of this action.
      * @param {...*} args Additional arguments to pass to `f`.
      * @return {*} Result of calling `f`.
      */
     run(f, ...args) {
-        _context.push(this)
-        try {
-            return f(...args)
-        } finally {
-            _context.pop()
-        }
+        return _context.run(this, () => f(...args))
     }
 
     /**
@@ -281,26 +519,54 @@ export class Action {
 }
 
 
+/**
+ * Create a monotonic clock function, unaffected by changes to the wall clock.
+ *
+ * @return {function(): number} Clock function returning a time in seconds,
+ * only meaningful relative to other results.
+ */
+export function _monotonicClock() {
+    if (typeof performance !== 'undefined' &&
+        typeof performance.now === 'function') {
+        return () => performance.now() / 1000
+    } else if (typeof process !== 'undefined' &&
+               typeof process.hrtime === 'function') {
+        return () => {
+            const [seconds, nanoseconds] = process.hrtime()
+            return seconds + nanoseconds / 1e9
+        }
+    }
+    return () => (new Date()).getTime() / 1000
+}
+
+Action._clock = _monotonicClock()
+
+
 /**
  * Create a child {@link Action}, figuring out the parent action from the execution
  * context and log the start message.
  *
  * For best results combine with {@link withAction}.
  *
- * @param {?Logger} [logger] Logger to write messages to.
+ * @param {?Logger} [logger] Logger to write messages to, if `null` the logger
+ * of the parent action is used.
  * @param {string} [actionType] Type of action.
  * @param {object.<string,*>} [fields] Additional fields to add to the start
  * message.
  * @param {?_ActionSerializers} [_serializers] Action serializers.
+ * @param {ActionLimits} [limits] Limits on how long the action may run for,
+ * when exceeded the action is finished as failed with {@link
+ * ActionTimeoutError} or {@link ActionAbortedError}.
  * @return {Action} New action.
  */
 export function startAction(logger=null, actionType='', fields={},
-                            _serializers=null) {
+                            _serializers=null, limits={}) {
     const parent = currentAction()
     if (parent === null) {
-        return startTask(logger, actionType, fields, _serializers)
+        return startTask(logger, actionType, fields, _serializers, limits)
     }
     const action = parent.child(logger, actionType, _serializers)
+    action._limit(limits)
     action._start(fields)
     return action
 }
@@ -314,17 +580,48 @@ export function startAction(logger=null, actionType='', fields={},
  * @param {MessageDictionary} fields Additional fields to add to the start
  * message.
  * @param {?_ActionSerializers} _serializers Action serializers.
+ * @param {ActionLimits} [limits] Limits on how long the action may run for.
  * @return {Action} New action.
  */
 export function startTask(logger=null, actionType='', fields={},
-                          _serializers=null) {
+                          _serializers=null, limits={}) {
     const action = new Action(
         logger, uuid.v4(), new TaskLevel([]), actionType, _serializers)
+    action._sample = _sampling._sampleTask(action)
+    action._limit(limits)
     action._start(fields)
     return action
 }
 
 
+/**
+ * Error to finish an action with, for something that was thrown or a
+ * rejection reason.
+ *
+ * {@link Action#finish} treats a missing error as success, so falsy values
+ * are wrapped in an `Error`.
+ *
+ * @param {*} reason Thrown value or rejection reason.
+ * @return {*} `reason`, or an `Error` describing it if it is falsy.
+ */
+export function _failureReason(reason) {
+    return reason ? reason : new Error(`Rejected with ${String(reason)}`)
+}
+
+
+/**
+ * Is `value` a thenable, something that behaves like a `Promise`?
+ *
+ * @param {*} value Value to check.
+ * @return {boolean} Is `value` a thenable?
+ */
+export function _isThenable(value) {
+    return (value !== null &&
+            (typeof value === 'object' || typeof value === 'function') &&
+            typeof value.then === 'function')
+}
+
+
 /**
  * Run a function within the context of an action.
  *
@@ -332,24 +629,364 @@ export function startTask(logger=null, actionType='', fields={},
  * structure. The action will be started before running the function and
  * finished after it completes.
  *
+ * If `f` returns a thenable, such as a `Promise`, the action is finished when
+ * it settles: successfully when it resolves or with the rejection error when it
+ * rejects. In this case a `Promise` of the result is returned.
+ *
  * @example
  * withAction(SOME_ACTION({f1: x, f2: y}), action => {
  *   // Run some code within the context of the action.
  * })
  *
+ * @example
+ * withAction(SOME_ACTION({f1: x, f2: y}), action => {
+ *   return fetchTheThing().then(result => {
+ *     action.addSuccessFields({result})
+ *     return result
+ *   })
+ * })
+ *
  * @param {Action} action Action to use.
  * @param {function(action: Action): *} f Function called with a single `Action`
  * argument.
  * @param {...*} args Additional arguments to pass to `f`.
- * @return {*} Result of `f`.
+ * @return {*|Promise<*>} Result of `f`, or a `Promise` of the result if `f`
+ * returned a thenable.
  */
 export function withAction(action, f, ...args) {
+    let result
     try {
-        const result = action.run(() => f(action, ...args))
-        action.finish()
-        return result
+        result = action.run(() => f(action, ...args))
     } catch (e) {
-        action.finish(e)
+        action.finish(_failureReason(e))
         throw e
     }
+    return _finishWhenSettled(action, result)
+}
+
+
+/**
+ * Finish an action once a result is available.
+ *
+ * @param {Action} action Action to finish.
+ * @param {*} result Result, if this is a thenable the action is finished when
+ * it settles.
+ * @return {*|Promise<*>} `result`, or a `Promise` of the result if `result` is
+ * a thenable.
+ */
+function _finishWhenSettled(action, result) {
+    if (_isThenable(result)) {
+        return Promise.resolve(result).then(
+            value => {
+                action.finish()
+                return value
+            },
+            e => {
+                action.finish(_failureReason(e))
+                throw e
+            })
+    }
+    action.finish()
+    return result
+}
+
+
+/**
+ * Wrap a function so that it runs within a continuation of the current action
+ * when it is later called.
+ *
+ * This is useful for callbacks, event handlers and queued jobs that are
+ * invoked outside of the action that created them. The current action is
+ * captured, via {@link Action#serializeTaskId}, when `preserveContext` is
+ * called and the wrapped function runs within a new action continuing it. The
+ * wrapped function may only be called once.
+ *
+ * @example
+ * withAction(SOME_ACTION(), action => {
+ *   fs.readFile(path, preserveContext((err, data) => {
+ *     // Messages logged here are part of SOME_ACTION's task.
+ *   }))
+ * })
+ *
+ * @param {function} f Function to wrap.
+ * @return {function} Wrapped function, or `f` itself if there is no current
+ * action.
+ */
+export function preserveContext(f) {
+    const action = currentAction()
+    if (action === null) {
+        return f
+    }
+    const taskId = action.serializeTaskId(),
+          sampled = action.samplingDecision(),
+          logger = action._logger
+    let called = false
+    return function(...args) {
+        if (called) {
+            throw new Error('A wrapped function can only be called once')
+        }
+        called = true
+        return withAction(
+            Action.continueTask(taskId, logger, {sampled}),
+            () => f.apply(this, args))
+    }
+}
+
+
+/**
+ * Is `value` an iterator that behaves like a generator object?
+ *
+ * @param {*} value Value to check.
+ * @return {boolean} Is `value` a generator-like iterator?
+ */
+function _isGenerator(value) {
+    return (value !== null &&
+            typeof value === 'object' &&
+            typeof value.next === 'function' &&
+            typeof value.throw === 'function' &&
+            typeof value.return === 'function')
+}
+
+
+/**
+ * Is `value` an async generator object, or an iterator that behaves like one?
+ *
+ * @param {*} value Value to check.
+ * @return {boolean} Is `value` an async generator-like iterator?
+ */
+function _isAsyncGenerator(value) {
+    return (_isGenerator(value) &&
+            typeof Symbol.asyncIterator === 'symbol' &&
+            typeof value[Symbol.asyncIterator] === 'function')
+}
+
+
+/**
+ * Wrap a generator object so that it is resumed within the context of an
+ * action, finishing the action when the generator completes.
+ *
+ * @param {Action} action Action to resume the generator within.
+ * @param {Iterator} generator Generator object.
+ * @param {function(value: *)} onReturn Called with the generator's return
+ * value before the action is finished successfully.
+ * @return {Iterator} Wrapped generator object.
+ */
+function _wrapGenerator(action, generator, onReturn) {
+    const resume = (method, value) => {
+        let step
+        try {
+            step = action.run(() => generator[method](value))
+        } catch (e) {
+            action.finish(_failureReason(e))
+            throw e
+        }
+        if (step.done) {
+            onReturn(step.value)
+            action.finish()
+        }
+        return step
+    }
+    return {
+        next: value => resume('next', value),
+        throw: error => resume('throw', error),
+        return: value => resume('return', value),
+        [Symbol.iterator]() {
+            return this
+        }
+    }
+}
+
+
+/**
+ * Wrap an async generator object so that it is resumed within the context of
+ * an action, finishing the action when the generator completes.
+ *
+ * @param {Action} action Action to resume the generator within.
+ * @param {AsyncIterator} generator Async generator object.
+ * @param {function(value: *)} onReturn Called with the generator's return
+ * value before the action is finished successfully.
+ * @return {AsyncIterator} Wrapped async generator object.
+ */
+function _wrapAsyncGenerator(action, generator, onReturn) {
+    const resume = (method, value) => new Promise(resolve => resolve(
+        action.run(() => generator[method](value))))
+        .then(step => {
+            if (step.done) {
+                onReturn(step.value)
+                action.finish()
+            }
+            return step
+        }, e => {
+            action.finish(_failureReason(e))
+            throw e
+        })
+    return {
+        next: value => resume('next', value),
+        throw: error => resume('throw', error),
+        return: value => resume('return', value),
+        [Symbol.asyncIterator]() {
+            return this
+        }
+    }
+}
+
+
+/**
+ * Best-effort discovery of a function's parameter names from its source.
+ *
+ * Parameters that cannot be named, such as destructuring patterns, are `null`.
+ *
+ * @param {function} f Function to inspect.
+ * @return {Array<?string>} Parameter names.
+ */
+export function _argumentNames(f) {
+    const source = Function.prototype.toString.call(f),
+          match = (/^\s*(?:async\s*)?([\w$]+)\s*=>/.exec(source) ||
+                   /^[^(]*\(/.exec(source))
+    if (match === null) {
+        return []
+    } else if (match[1] !== undefined) {
+        return [match[1]]
+    }
+    // Split the parameter list on top-level commas, so that destructuring
+    // patterns and default values count as a single parameter.
+    const params = []
+    let depth = 0,
+        current = ''
+    for (const c of source.slice(match[0].length)) {
+        if (depth === 0 && (c === ',' || c === ')')) {
+            params.push(current)
+            current = ''
+            if (c === ')') {
+                break
+            }
+            continue
+        } else if ('([{'.indexOf(c) !== -1) {
+            depth++
+        } else if (')]}'.indexOf(c) !== -1) {
+            depth--
+        }
+        current += c
+    }
+    if (params.length === 1 && params[0].trim() === '') {
+        return []
+    }
+    return params
+        .map(x => x.replace(/=[\s\S]*$/, '').replace(/^\s*\.\.\./, '').trim())
+        .map(x => /^[\w$]+$/.test(x) ? x : null)
+}
+
+
+/**
+ * Wrap a function so that each call is logged as an action.
+ *
+ * The action's start message includes the call's arguments, named after the
+ * function's parameters (`arg0`, `arg1`, etc. when a name cannot be
+ * determined), and its success message includes the return value as `result`.
+ * Functions returning thenables finish the action when the thenable settles,
+ * and generator functions, including async generator functions, finish the
+ * action when the generator completes.
+ *
+ * @example
+ * const add = logCall(function add(x, y) {
+ *   return x + y
+ * }, {actionType: 'myapp:add'})
+ *
+ * @example
+ * const login = logCall(function login(username, password) {
+ *   // ...
+ * }, {excludeArgs: ['password']})
+ *
+ * @param {function} f Function to wrap.
+ * @param {object} [opt] Options.
+ * @param {?(string|ActionTypeCallable)} [opt.actionType] Action type name or
+ * an {@link ActionType}, whose serializers will be applied, or `null` for the
+ * function's name.
+ * @param {?string[]} [opt.argNames] Argument names to use instead of those
+ * determined from the function's source.
+ * @param {?string[]} [opt.includeArgs] Names of the arguments to log, or `null`
+ * to log all of them.
+ * @param {string[]} [opt.excludeArgs] Names of arguments not to log.
+ * @param {boolean} [opt.includeResult=true] Log the return value as the
+ * `result` success field? An `ActionType` given as `opt.actionType` must then
+ * have a `result` success field.
+ * @param {?Logger} [opt.logger] Logger to write messages to.
+ * @return {function} Wrapped function.
+ */
+export function logCall(f, {actionType=null,
+                            argNames=null,
+                            includeArgs=null,
+                            excludeArgs=[],
+                            includeResult=true,
+                            logger=null}={}) {
+    const names = argNames === null ? _argumentNames(f) : argNames,
+          start = (typeof actionType === 'function'
+                   ? fields => actionType(fields, logger)
+                   : fields => startAction(
+                       logger,
+                       actionType === null ? f.name || 'anonymous' : actionType,
+                       fields))
+    return function(...args) {
+        const fields = {}
+        args.forEach((value, i) => {
+            const name = names[i] ? names[i] : `arg${i}`
+            if ((includeArgs === null || includeArgs.indexOf(name) !== -1) &&
+                excludeArgs.indexOf(name) === -1) {
+                fields[name] = value
+            }
+        })
+        const action = start(fields),
+              addResult = value => {
+                  if (includeResult) {
+                      action.addSuccessFields({result: value})
+                  }
+                  return value
+              }
+        let result
+        try {
+            result = action.run(() => f.apply(this, args))
+        } catch (e) {
+            action.finish(_failureReason(e))
+            throw e
+        }
+        if (_isThenable(result)) {
+            return _finishWhenSettled(
+                action, Promise.resolve(result).then(addResult))
+        } else if (_isAsyncGenerator(result)) {
+            return _wrapAsyncGenerator(action, result, addResult)
+        } else if (_isGenerator(result)) {
+            return _wrapGenerator(action, result, addResult)
+        }
+        return _finishWhenSettled(action, addResult(result))
+    }
+}
+
+
+/**
+ * Decorator-style variant of {@link logCall}.
+ *
+ * The result can be applied to a function, or used as a (legacy) method
+ * decorator.
+ *
+ * @example
+ * const add = logCallDecorator({actionType: 'myapp:add'})(
+ *   (x, y) => x + y)
+ *
+ * @example
+ * Object.defineProperty(Thing.prototype, 'login', logCallDecorator(
+ *   {excludeArgs: ['password']})(
+ *   Thing.prototype, 'login',
+ *   Object.getOwnPropertyDescriptor(Thing.prototype, 'login')))
+ *
+ * @param {object} [opt] Options, see {@link logCall}.
+ * @return {function} Decorator.
+ */
+export function logCallDecorator(opt={}) {
+    return (target, key, descriptor) => {
+        if (descriptor === undefined) {
+            return logCall(target, opt)
+        }
+        return Object.assign(
+            {}, descriptor, {value: logCall(descriptor.value, opt)})
+    }
 }
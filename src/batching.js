@@ -0,0 +1,277 @@
+import ExtendableError from 'es6-error'
+
+import {_context} from './context'
+import {encodeJSON} from './json'
+import {Message, MESSAGE_TYPE_FIELD} from './message'
+import {_byteLength} from './truncation'
+
+
+export const BATCH_DROPPED_MESSAGE_TYPE = 'eliot_js:batch_dropped'
+
+
+/**
+ * The writes of a batch failed because it was dropped, without being written,
+ * while the sink was busy.
+ */
+export class BatchDroppedError extends ExtendableError {
+    /**
+     * @param {number} count Number of messages in the dropped batch.
+     */
+    constructor(count) {
+        super(`Dropped a batch of ${count} message(s), the sink is too slow`)
+        this.count = count
+    }
+}
+
+
+/**
+ * Messages written to a sink together.
+ */
+class _Batch {
+    constructor() {
+        /** @type {MessageDictionary[]} */
+        this.messages = []
+        this.bytes = 0
+        /**
+         * Promise that resolves once the batch has been written, or rejects if
+         * the sink failed.
+         * @type {Promise}
+         */
+        this.written = new Promise((resolve, reject) => {
+            this._resolve = resolve
+            this._reject = reject
+        })
+    }
+}
+
+
+/**
+ * Destination that accumulates messages and writes them to a sink in batches.
+ *
+ * @implements {IDestination}
+ */
+class _BatchingDestination {
+    constructor(sink, {maxCount=100,
+                       maxBytes=1048576,
+                       interval=5,
+                       maxQueued=10,
+                       logger=null}={}) {
+        this._sink = sink
+        this.maxCount = maxCount
+        this.maxBytes = maxBytes
+        this.interval = interval
+        this.maxQueued = maxQueued
+        this._logger = logger
+        /**
+         * Batch being accumulated.
+         * @type {_Batch}
+         */
+        this._batch = new _Batch()
+        this._timer = null
+        /**
+         * Complete batches waiting for the sink.
+         * @type {_Batch[]}
+         */
+        this._queue = []
+        /**
+         * Promise that resolves once the queue has been drained, or `null` if
+         * the sink is idle.
+         * @type {?Promise}
+         */
+        this._sending = null
+        /**
+         * Is a dropped batch being reported?
+         * @type {boolean}
+         */
+        this._reporting = false
+    }
+
+    /**
+     * Accept every message except the report of a batch dropped by this
+     * destination, which would only add to the backlog of the sink.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @return {boolean} Accept the message?
+     */
+    accepts(message) {
+        return !this._reporting
+    }
+
+    /**
+     * Add a message to the current batch, completing the batch if it is full.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @return {Promise} Promise that resolves once the batch containing the
+     * message has been written, or rejects if the sink failed to write it or
+     * the batch was dropped.
+     */
+    write(message) {
+        const size = _byteLength(encodeJSON(message))
+        if (this._batch.messages.length > 0 &&
+            this._batch.bytes + size > this.maxBytes) {
+            this._complete()
+        }
+        const batch = this._batch
+        batch.messages.push(message)
+        batch.bytes += size
+        if (batch.messages.length >= this.maxCount ||
+            batch.bytes >= this.maxBytes) {
+            this._complete()
+        } else if (this._timer === null) {
+            this._timer = setTimeout(() => {
+                this._timer = null
+                this._complete()
+            }, this.interval * 1000)
+            if (typeof this._timer.unref === 'function') {
+                this._timer.unref()
+            }
+        }
+        return batch.written
+    }
+
+    /**
+     * Complete the current batch and queue it for the sink.
+     *
+     * If too many batches are waiting for the sink the oldest is dropped,
+     * failing its writes with {@link BatchDroppedError}.
+     */
+    _complete() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer)
+            this._timer = null
+        }
+        if (this._batch.messages.length === 0) {
+            return
+        }
+        this._queue.push(this._batch)
+        this._batch = new _Batch()
+        if (this._queue.length > this.maxQueued) {
+            const dropped = this._queue.shift()
+            dropped._reject(new BatchDroppedError(dropped.messages.length))
+            this._reportDropped(dropped)
+        }
+        this._drain()
+    }
+
+    /**
+     * Report a dropped batch with an `eliot_js:batch_dropped` message.
+     *
+     * The report is written later, outside of any action, since batches are
+     * dropped while some unrelated message is being written, possibly to
+     * this destination.
+     *
+     * @param {_Batch} dropped Dropped batch.
+     */
+    _reportDropped(dropped) {
+        const timer = setTimeout(() => _context.run(null, () => {
+            this._reporting = true
+            try {
+                new Message({
+                    [MESSAGE_TYPE_FIELD]: BATCH_DROPPED_MESSAGE_TYPE,
+                    destination: _sinkName(this._sink),
+                    messages: dropped.messages.length}).write(this._logger)
+            } finally {
+                this._reporting = false
+            }
+        }), 0)
+        if (typeof timer.unref === 'function') {
+            timer.unref()
+        }
+    }
+
+    /**
+     * Write queued batches to the sink, one at a time.
+     *
+     * The outcome of each batch settles the writes of its messages, so that
+     * {@link Destinations} tracks failures of the sink like those of any
+     * other destination.
+     *
+     * @return {Promise} Promise that resolves once the queue has been drained.
+     */
+    _drain() {
+        if (this._sending !== null) {
+            return this._sending
+        } else if (this._queue.length === 0) {
+            return Promise.resolve()
+        }
+        const batch = this._queue.shift()
+        this._sending = new Promise(resolve => resolve(
+            this._sink(batch.messages)))
+            .then(() => batch._resolve(), e => batch._reject(e))
+            .then(() => {
+                this._sending = null
+                return this._drain()
+            })
+        return this._sending
+    }
+
+    /**
+     * Complete the current batch and wait for all queued batches to be
+     * written.
+     *
+     * @return {Promise} Promise that resolves once the queue has been drained.
+     */
+    flush() {
+        this._complete()
+        return this._drain()
+    }
+
+    /**
+     * Write out all batches.
+     *
+     * @return {Promise} Promise that resolves once the queue has been drained.
+     */
+    close() {
+        return this.flush()
+    }
+}
+
+
+/**
+ * Name of a sink, for reporting.
+ *
+ * @param {function} sink Sink.
+ * @return {string} Function name.
+ */
+function _sinkName(sink) {
+    return sink.name || 'anonymous'
+}
+
+
+/**
+ * Create a destination that writes messages to a sink in batches.
+ *
+ * A batch is written once it has `maxCount` messages, once it would exceed
+ * `maxBytes` of JSON, `interval` seconds after its first message, or when the
+ * destination is flushed or closed, such as at shutdown. Batches are written
+ * one at a time; while the sink is busy at most `maxQueued` batches wait for
+ * it, beyond which the oldest is dropped, failing with {@link
+ * BatchDroppedError}, and reported to other destinations with an
+ * `eliot_js:batch_dropped` message. A failed or dropped batch fails the writes
+ * of all of its messages, which {@link Destinations} reports and counts towards
+ * disabling the destination.
+ *
+ * @example
+ * addDestination(batchMessages(
+ *   messages => fetch(url, {method: 'POST', body: JSON.stringify(messages)}),
+ *   {maxCount: 500, interval: 10}))
+ *
+ * @param {function(messages: MessageDictionary[]): ?Promise} sink Function
+ * that writes a batch of messages, optionally returning a promise that
+ * resolves once they have been written.
+ * @param {object} [opt] Options.
+ * @param {number} [opt.maxCount=100] Maximum number of messages in a batch.
+ * @param {number} [opt.maxBytes=1048576] Maximum size of a batch, in bytes of
+ * JSON. A single larger message is written in a batch of its own.
+ * @param {number} [opt.interval=5] Maximum number of seconds a message waits
+ * in a batch.
+ * @param {number} [opt.maxQueued=10] Maximum number of batches waiting for the
+ * sink.
+ * @param {?ILogger} [opt.logger] Logger to report dropped batches to, the
+ * default logger if `null`.
+ * @return {IDestination} Destination, suitable for use with {@link
+ * addDestination}.
+ */
+export function batchMessages(sink, opt={}) {
+    return new _BatchingDestination(sink, opt)
+}
@@ -1,5 +1,9 @@
 /**
  * Stack-based context, storing the current `Action`.
+ *
+ * This is only suitable for synchronous code, the context is lost as soon as
+ * control is yielded to the event loop. It is used as a fallback in
+ * environments that have no asynchronous context tracking.
  */
 export class _ExecutionContext {
     constructor() {
@@ -34,11 +38,99 @@ export class _ExecutionContext {
         }
         return this._stack[this._stack.length - 1]
     }
+
+    /**
+     * Run a function with `action` as the front action.
+     *
+     * @param {Action} action Action to use as the front action.
+     * @param {function(): *} f Function to call.
+     * @return {*} Result of calling `f`.
+     */
+    run(action, f) {
+        this.push(action)
+        try {
+            return f()
+        } finally {
+            this.pop()
+        }
+    }
+}
+
+
+/**
+ * Context backed by Node's `AsyncLocalStorage`, storing the current `Action`.
+ *
+ * The front action is tracked per asynchronous continuation, so it survives
+ * `await`, promise callbacks, timers and other asynchronous resources created
+ * while an action is running.
+ */
+export class _AsyncExecutionContext {
+    /**
+     * @param {function} AsyncLocalStorage `AsyncLocalStorage` constructor.
+     */
+    constructor(AsyncLocalStorage) {
+        this._storage = new AsyncLocalStorage()
+    }
+
+    /**
+     * Get the current front action.
+     *
+     * @return {Action|null} Current front action, or `null` if there is none.
+     */
+    current() {
+        const action = this._storage.getStore()
+        return action === undefined ? null : action
+    }
+
+    /**
+     * Run a function with `action` as the front action.
+     *
+     * Any asynchronous work started by `f` will also see `action` as the front
+     * action.
+     *
+     * @param {Action} action Action to use as the front action.
+     * @param {function(): *} f Function to call.
+     * @return {*} Result of calling `f`.
+     */
+    run(action, f) {
+        return this._storage.run(action, f)
+    }
+}
+
+
+/**
+ * Find Node's `AsyncLocalStorage`, if it is available.
+ *
+ * @return {?function} `AsyncLocalStorage` constructor, or `null` if the
+ * environment does not support it.
+ */
+export function _findAsyncLocalStorage() {
+    try {
+        const {AsyncLocalStorage} = require('async_hooks')
+        return AsyncLocalStorage === undefined ? null : AsyncLocalStorage
+    } catch (e) {
+        return null
+    }
+}
+
+
+/**
+ * Create the most capable execution context for the environment.
+ *
+ * @param {?function} [AsyncLocalStorage] `AsyncLocalStorage` constructor, or
+ * `null` to use the stack-based context.
+ * @return {_ExecutionContext|_AsyncExecutionContext} Execution context.
+ */
+export function _createContext(AsyncLocalStorage=_findAsyncLocalStorage()) {
+    if (AsyncLocalStorage === null) {
+        return new _ExecutionContext()
+    }
+    return new _AsyncExecutionContext(AsyncLocalStorage)
 }
 
 
-/** Global `_ExecutionContext`. */
-export const _context = new _ExecutionContext()
+/** Global execution context. */
+export const _context = _createContext()
 
 
 /**
@@ -1,3 +1,8 @@
+import {encodeJSON} from './json'
+import {Message, MESSAGE_TYPE_FIELD} from './message'
+import {BUFFER_OVERFLOW_MESSAGE_TYPE} from './output'
+
+
 /**
  * Obtain a global attribute from either the browser or Node environments.
  *
@@ -42,3 +47,608 @@ export function toConsole(_console=_global('console')) {
     const destination = _consoleDestination(_console)
     return msg => destination(msg)
 }
+
+
+/**
+ * Call a Node-style asynchronous function.
+ *
+ * @param {function} f Function taking a callback as its last argument.
+ * @param {...*} args Other arguments.
+ * @return {Promise} Promise that resolves with the result of `f`.
+ */
+function _nodeCall(f, ...args) {
+    return new Promise((resolve, reject) => f(...args, (e, result) => {
+        if (e) {
+            reject(e)
+        } else {
+            resolve(result)
+        }
+    }))
+}
+
+
+/**
+ * UTC day of a timestamp.
+ *
+ * @param {number} time Timestamp, in seconds.
+ * @return {string} Day, in `YYYY-MM-DD` form.
+ */
+function _day(time) {
+    return new Date(time * 1000).toISOString().slice(0, 10)
+}
+
+
+/**
+ * Destination that writes JSON lines to a file, rotating it by size or by day.
+ *
+ * @implements {IDestination}
+ */
+class _FileDestination {
+    constructor(filename, {maxSize=null,
+                           daily=false,
+                           maxFiles=5,
+                           compress=false,
+                           sync=false,
+                           reopenSignal='SIGHUP',
+                           _process=process}={}) {
+        this._fs = require('fs')
+        this._path = require('path')
+        this.filename = filename
+        this.maxSize = maxSize
+        this.daily = daily
+        this.maxFiles = maxFiles
+        this.compress = compress
+        this.sync = sync
+        this._process = _process
+        this._reopenSignal = reopenSignal
+        /**
+         * Pending asynchronous operations, in the order they must happen.
+         * @type {Promise}
+         */
+        this._chain = Promise.resolve()
+        /**
+         * First operation failure since the last flush, or `null`.
+         * @type {?Error}
+         */
+        this._failure = null
+        this._fd = null
+        this._open()
+        if (reopenSignal !== null) {
+            this._onSignal = () => this.reopen()
+            _process.on(reopenSignal, this._onSignal)
+        }
+    }
+
+    /**
+     * Run an operation once all pending operations have completed.
+     *
+     * A failed operation does not stop later ones, its failure is kept for
+     * the next flush.
+     *
+     * @param {function(): Promise} f Operation.
+     * @return {Promise} Result of the operation.
+     */
+    _then(f) {
+        const result = this._chain.then(f)
+        this._chain = result.catch(e => {
+            if (this._failure === null) {
+                this._failure = e
+            }
+        })
+        return result
+    }
+
+    /**
+     * Wait for pending operations to complete.
+     *
+     * @return {Promise} Promise that resolves once pending operations have
+     * completed, or rejects with the first of them that failed.
+     */
+    _settle() {
+        return this._chain.then(() => {
+            const failure = this._failure
+            this._failure = null
+            if (failure !== null) {
+                throw failure
+            }
+        })
+    }
+
+    /**
+     * Open the file for appending.
+     *
+     * The day of a file with content is the day it was last modified, that of
+     * an empty file is the day it is first written to.
+     */
+    _open() {
+        const fd = this._fs.openSync(this.filename, 'a'),
+              stat = this._fs.fstatSync(fd)
+        this._fd = fd
+        this._size = stat.size
+        this._day = stat.size > 0 ? _day(stat.mtime.getTime() / 1000) : null
+    }
+
+    /**
+     * Close the file, once pending writes to it have completed.
+     *
+     * @return {Promise} Promise that resolves once the file is closed.
+     */
+    _close() {
+        const fd = this._fd
+        this._fd = null
+        if (this.sync) {
+            this._fs.closeSync(fd)
+            return Promise.resolve()
+        }
+        return this._then(() => _nodeCall(this._fs.close, fd))
+    }
+
+    /**
+     * Write a message as a line of JSON, rotating the file first if necessary.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @return {?Promise} Promise that resolves once the message, and any
+     * rotation, has been written; or `null` in synchronous mode if there was
+     * no rotation.
+     */
+    write(message) {
+        if (this._fd === null) {
+            throw new Error('File destination is closed')
+        }
+        const line = encodeJSON(message) + '\n',
+              size = Buffer.byteLength(line),
+              day = _day(Message._time()),
+              rotated = this._shouldRotate(size, day) ? this._rotate() : null,
+              fd = this._fd
+        if (this._size === 0) {
+            this._day = day
+        }
+        this._size += size
+        let written
+        if (this.sync) {
+            this._fs.writeSync(fd, line)
+            this._fs.fsyncSync(fd)
+            written = null
+        } else {
+            written = this._then(() => _nodeCall(this._fs.write, fd, line))
+        }
+        if (rotated === null) {
+            return written
+        }
+        return Promise.all([written, rotated])
+    }
+
+    /**
+     * Should the file be rotated before writing to it?
+     *
+     * @param {number} size Size of the line about to be written, in bytes.
+     * @param {string} day Current day.
+     * @return {boolean} Rotate the file?
+     */
+    _shouldRotate(size, day) {
+        if (this._size === 0) {
+            return false
+        }
+        return ((this.maxSize !== null && this._size + size > this.maxSize) ||
+                (this.daily && day !== this._day))
+    }
+
+    /**
+     * Name for the next rotated file of the current day.
+     *
+     * @return {string} File name.
+     */
+    _rotatedName() {
+        for (let n = 1; ; n++) {
+            const name = `${this.filename}.${this._day}.${n}`
+            if (!this._fs.existsSync(name) &&
+                !this._fs.existsSync(`${name}.gz`)) {
+                return name
+            }
+        }
+    }
+
+    /**
+     * Rename the current file, start a new one and prune old files.
+     *
+     * @return {Promise} Promise that resolves once the rotated file has been
+     * compressed, if enabled, and old files have been removed.
+     */
+    _rotate() {
+        const rotated = this._rotatedName()
+        this._fs.renameSync(this.filename, rotated)
+        const closed = this._close()
+        this._open()
+        return this._then(() => closed
+            .then(() => this.compress ? this._compress(rotated) : null)
+            .then(() => this._prune()))
+    }
+
+    /**
+     * Compress a rotated file with gzip, removing the original.
+     *
+     * @param {string} filename Rotated file name.
+     * @return {Promise} Promise that resolves once the file is compressed.
+     */
+    _compress(filename) {
+        const {pipeline} = require('stream'),
+              zlib = require('zlib')
+        return _nodeCall(pipeline,
+                         this._fs.createReadStream(filename),
+                         zlib.createGzip(),
+                         this._fs.createWriteStream(`${filename}.gz`))
+            .then(() => _nodeCall(this._fs.unlink, filename))
+    }
+
+    /**
+     * Remove all but the newest `maxFiles` rotated files.
+     *
+     * @return {Promise} Promise that resolves once old files are removed.
+     */
+    _prune() {
+        if (this.maxFiles === null) {
+            return Promise.resolve()
+        }
+        const dir = this._path.dirname(this.filename),
+              base = this._path.basename(this.filename)
+                  .replace(/[\\^$.*+?()[\]{}|]/g, '\\$&'),
+              pattern = new RegExp(
+                  `^${base}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)(\\.gz)?$`),
+              rotated = this._fs.readdirSync(dir)
+                  .map(name => [name, pattern.exec(name)])
+                  .filter(([, match]) => match !== null)
+                  .sort(([, a], [, b]) => a[1] === b[1]
+                        ? Number(a[2]) - Number(b[2])
+                        : (a[1] < b[1] ? -1 : 1))
+        return Promise.all(
+            rotated.slice(0, Math.max(rotated.length - this.maxFiles, 0))
+                .map(([name]) => _nodeCall(this._fs.unlink,
+                                           this._path.join(dir, name))))
+    }
+
+    /**
+     * Reopen the file, such as after it was renamed by an external log
+     * rotation tool.
+     */
+    reopen() {
+        if (this._fd !== null) {
+            this._close()
+            this._open()
+        }
+    }
+
+    /**
+     * Wait for pending writes, rotations and compression to complete.
+     *
+     * @return {Promise} Promise that resolves once pending operations have
+     * completed, or rejects if any of them failed.
+     */
+    flush() {
+        return this._settle()
+    }
+
+    /**
+     * Stop reopening on signals and close the file, once pending operations
+     * have completed.
+     *
+     * @return {Promise} Promise that resolves once the file is closed, or
+     * rejects if any pending operation, or closing the file, failed.
+     */
+    close() {
+        if (this._reopenSignal !== null) {
+            this._process.removeListener(this._reopenSignal, this._onSignal)
+        }
+        if (this._fd !== null) {
+            this._close()
+        }
+        return this._settle()
+    }
+}
+
+
+/**
+ * A logging destination that writes each message as a line of JSON to a file.
+ *
+ * The file can be rotated once it would exceed `maxSize` bytes or when the UTC
+ * day changes. Rotated files are named after the file and the day of their
+ * messages, such as `app.log.2016-09-11.1`, and optionally compressed with
+ * gzip. The file is reopened on `reopenSignal`, for use with external log
+ * rotation tools. This is only supported in Node.
+ *
+ * @example
+ * addDestination(toFile('/var/log/app.log', {maxSize: 100 * 1024 * 1024,
+ *                                            daily: true,
+ *                                            compress: true}))
+ *
+ * @param {string} filename File name.
+ * @param {object} [opt] Options.
+ * @param {?number} [opt.maxSize] Maximum size of the file, in bytes, before
+ * it is rotated; or `null` to not rotate by size.
+ * @param {boolean} [opt.daily=false] Rotate the file when the day changes?
+ * @param {?number} [opt.maxFiles=5] Number of rotated files to keep, or `null`
+ * to keep all of them.
+ * @param {boolean} [opt.compress=false] Compress rotated files with gzip?
+ * @param {boolean} [opt.sync=false] Write, and flush to disk, each message
+ * before returning, such as for audit logs.
+ * @param {?string} [opt.reopenSignal='SIGHUP'] Signal to reopen the file on,
+ * or `null` to not reopen it.
+ * @return {IDestination} Logging destination, suitable for use with {@link
+ * addDestination}.
+ */
+export function toFile(filename, opt={}) {
+    return new _FileDestination(filename, opt)
+}
+
+
+/**
+ * Functions that convert a message to a chunk of output, mapped by name.
+ * @type {Map<string,function(message: MessageDictionary): string>}
+ */
+const _formats = new Map([['json', message => encodeJSON(message) + '\n']])
+
+
+/**
+ * Register a named output format for stream destinations.
+ *
+ * @example
+ * registerFormat('logfmt', message => Object.keys(message)
+ *     .map(k => `${k}=${JSON.stringify(message[k])}`)
+ *     .join(' ') + '\n')
+ *
+ * @param {string} name Format name.
+ * @param {function(message: MessageDictionary): string} format Function that
+ * converts a message to a chunk of output, including any line terminator.
+ * @return {function} Function that removes the format.
+ */
+export function registerFormat(name, format) {
+    _formats.set(name, format)
+    return () => {
+        if (_formats.get(name) === format) {
+            _formats.delete(name)
+        }
+    }
+}
+
+
+/**
+ * Destination that writes formatted messages to a Node `Writable` stream.
+ *
+ * @implements {IDestination}
+ */
+class _StreamDestination {
+    constructor(stream, {format='json', maxBuffered=1000, end=true}={}) {
+        if (typeof format !== 'function') {
+            if (!_formats.has(format)) {
+                throw new Error(`Unknown format: ${format}`)
+            }
+            format = _formats.get(format)
+        }
+        this._stream = stream
+        this._format = format
+        this.maxBuffered = maxBuffered
+        this._end = end
+        /**
+         * Chunks waiting for the stream to drain, or `null` if the stream is
+         * accepting writes.
+         * @type {?string[]}
+         */
+        this._buffer = null
+        this._dropped = 0
+        this._error = null
+        /**
+         * Number of chunks given to the stream that it has not yet written.
+         * @type {number}
+         */
+        this._unwritten = 0
+        /**
+         * Callbacks of flushes waiting for buffered and unwritten chunks to be
+         * written.
+         * @type {Array<{resolve: function, reject: function}>}
+         */
+        this._waiting = []
+        this._onWritten = e => {
+            this._unwritten--
+            if (e) {
+                this._failed(e)
+            } else {
+                this._settle()
+            }
+        }
+        this._onError = e => this._failed(e)
+        this._onDrain = () => this._drain()
+        stream.on('error', this._onError)
+        stream.on('drain', this._onDrain)
+    }
+
+    /**
+     * Write a formatted message, or buffer it if the stream needs to drain.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @throws {Error} If the stream emitted an error since the last write.
+     */
+    write(message) {
+        if (this._error !== null) {
+            const error = this._error
+            this._error = null
+            throw error
+        }
+        const chunk = this._format(message)
+        if (this._buffer === null) {
+            if (!this._writeChunk(chunk)) {
+                this._buffer = []
+            }
+        } else if (this._buffer.length < this.maxBuffered) {
+            this._buffer.push(chunk)
+        } else {
+            this._dropped++
+        }
+    }
+
+    /**
+     * Write a chunk to the stream, tracking it until it has been written.
+     *
+     * @param {string} chunk Chunk of output.
+     * @return {boolean} Is the stream still accepting writes?
+     */
+    _writeChunk(chunk) {
+        this._unwritten++
+        return this._stream.write(chunk, this._onWritten)
+    }
+
+    /**
+     * Record an error of the stream, failing waiting flushes.
+     *
+     * @param {Error} error Stream error.
+     */
+    _failed(error) {
+        this._error = error
+        const waiting = this._waiting
+        this._waiting = []
+        for (const {reject} of waiting) {
+            reject(error)
+        }
+    }
+
+    /**
+     * Complete waiting flushes if every chunk has been written.
+     */
+    _settle() {
+        if (this._buffer !== null || this._unwritten > 0) {
+            return
+        }
+        const waiting = this._waiting
+        this._waiting = []
+        for (const {resolve} of waiting) {
+            resolve()
+        }
+    }
+
+    /**
+     * Write buffered chunks once the stream has drained, followed by an
+     * `eliot_js:buffer_overflow` message if any were dropped.
+     */
+    _drain() {
+        const buffer = this._buffer
+        if (buffer === null) {
+            return
+        }
+        this._buffer = null
+        if (this._dropped > 0) {
+            buffer.push(this._format(new Message({
+                [MESSAGE_TYPE_FIELD]: BUFFER_OVERFLOW_MESSAGE_TYPE,
+                dropped: this._dropped})._freeze()))
+            this._dropped = 0
+        }
+        for (let i = 0; i < buffer.length; i++) {
+            if (!this._writeChunk(buffer[i])) {
+                this._buffer = buffer.slice(i + 1)
+                return
+            }
+        }
+        this._settle()
+    }
+
+    /**
+     * Wait for buffered chunks to be written by the stream.
+     *
+     * @return {Promise} Promise that resolves once the stream has written
+     * every chunk, or rejects if the stream emitted an error.
+     */
+    flush() {
+        if (this._error !== null) {
+            return Promise.reject(this._error)
+        }
+        return new Promise((resolve, reject) => {
+            this._waiting.push({resolve, reject})
+            this._settle()
+        })
+    }
+
+    /**
+     * Write out buffered chunks and end the stream, if enabled.
+     *
+     * @return {Promise} Promise that resolves once the stream has finished,
+     * or rejects if the stream emitted an error.
+     */
+    close() {
+        let onEndError = null
+        const cleanUp = () => {
+            this._stream.removeListener('drain', this._onDrain)
+            this._stream.removeListener('error', this._onError)
+            if (onEndError !== null) {
+                this._stream.removeListener('error', onEndError)
+            }
+        }
+        return this.flush()
+            .then(() => this._end
+                  ? new Promise((resolve, reject) => {
+                      onEndError = reject
+                      this._stream.on('error', onEndError)
+                      this._stream.end(e => e ? reject(e) : resolve())
+                  })
+                  : null)
+            .then(cleanUp, e => {
+                cleanUp()
+                throw e
+            })
+    }
+}
+
+
+/**
+ * A logging destination that writes messages to a Node `Writable` stream.
+ *
+ * While the stream is asking for writes to wait, by `write()` returning
+ * `false`, up to `maxBuffered` messages are buffered and written once it
+ * drains. Further messages are dropped, which is reported with an
+ * `eliot_js:buffer_overflow` message written to the stream. An error emitted
+ * by the stream is thrown by the next write, and rejects flushing or closing
+ * the destination.
+ *
+ * @example
+ * addDestination(toStream(socket, {format: 'json'}))
+ *
+ * @param {stream.Writable} stream Stream to write to.
+ * @param {object} [opt] Options.
+ * @param {string|function(message: MessageDictionary): string} [opt.format]
+ * Name of a format registered with {@link registerFormat}, or a function
+ * that converts a message to a chunk of output. Defaults to `'json'`, JSON
+ * lines.
+ * @param {number} [opt.maxBuffered=1000] Maximum number of messages to buffer
+ * while the stream drains.
+ * @param {boolean} [opt.end=true] End the stream when the destination is
+ * closed?
+ * @return {IDestination} Logging destination, suitable for use with {@link
+ * addDestination}.
+ */
+export function toStream(stream, opt={}) {
+    return new _StreamDestination(stream, opt)
+}
+
+
+/**
+ * A logging destination that writes messages to standard output, as JSON lines
+ * by default.
+ *
+ * @param {object} [opt] Options, see {@link toStream}. Standard output is
+ * never ended.
+ * @return {IDestination} Logging destination, suitable for use with {@link
+ * addDestination}.
+ */
+export function toStdout(opt={}) {
+    return toStream(process.stdout, Object.assign({}, opt, {end: false}))
+}
+
+
+/**
+ * A logging destination that writes messages to standard error, as JSON lines
+ * by default.
+ *
+ * @param {object} [opt] Options, see {@link toStream}. Standard error is never
+ * ended.
+ * @return {IDestination} Logging destination, suitable for use with {@link
+ * addDestination}.
+ */
+export function toStderr(opt={}) {
+    return toStream(process.stderr, Object.assign({}, opt, {end: false}))
+}
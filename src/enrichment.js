@@ -0,0 +1,60 @@
+/**
+ * Static fields describing the Node process.
+ *
+ * @param {object} [_process] Something that looks like `process`.
+ * @return {object<string,*>} `hostname`, `pid`, `platform` and `node_version`
+ * fields, or no fields if not running in Node.
+ */
+export function nodeEnvironment(_process=(typeof process === 'undefined'
+                                          ? undefined
+                                          : process)) {
+    if (_process === undefined || _process.versions === undefined ||
+        _process.versions.node === undefined) {
+        return {}
+    }
+    let hostname
+    try {
+        hostname = require('os').hostname()
+    } catch (e) {
+        hostname = null
+    }
+    return {hostname,
+            pid: _process.pid,
+            platform: _process.platform,
+            node_version: _process.versions.node}
+}
+
+
+/**
+ * Static fields describing the browser.
+ *
+ * @param {object} [_window] Something that looks like `window`.
+ * @return {object<string,*>} `user_agent` and `language` fields, or no fields
+ * if not running in a browser.
+ */
+export function browserEnvironment(_window=(typeof window === 'undefined'
+                                            ? undefined
+                                            : window)) {
+    if (_window === undefined || _window.navigator === undefined) {
+        return {}
+    }
+    return {user_agent: _window.navigator.userAgent,
+            language: _window.navigator.language}
+}
+
+
+/**
+ * Enricher adding the memory usage of the Node process, in bytes, to each
+ * message.
+ *
+ * @return {object<string,number>} `memory_rss` and `memory_heap_used` fields,
+ * or no fields if not running in Node.
+ */
+export function memoryUsage() {
+    if (typeof process === 'undefined' ||
+        typeof process.memoryUsage !== 'function') {
+        return {}
+    }
+    const {rss, heapUsed} = process.memoryUsage()
+    return {memory_rss: rss, memory_heap_used: heapUsed}
+}
@@ -0,0 +1,309 @@
+import ErrorStackParser from 'error-stack-parser'
+
+import {EXCEPTION_FIELD, REASON_FIELD, TRACEBACK_FIELD} from './message'
+import * as _sourceMaps from './sourcemaps'
+
+
+export const CAUSES_FIELD = 'eliot_causes'
+export const ERRORS_FIELD = 'eliot_errors'
+
+
+/**
+ * Registry of functions that extract structured fields from errors.
+ *
+ * Extracted fields are included in the failure messages of actions and in
+ * traceback messages.
+ */
+export class ErrorExtraction {
+    constructor() {
+        /**
+         * Mapping of error classes to extractor functions.
+         * @type {Map<function,function(error: Error): object<string,*>>}
+         */
+        this.registry = new Map()
+    }
+
+    /**
+     * Register a function that converts an error to fields.
+     *
+     * @param {function} errorClass Class of errors to extract fields from,
+     * subclasses are also handled unless they have an extractor of their own.
+     * @param {function(error: Error): object<string,*>} extractor Function
+     * that takes an error and returns fields to be logged.
+     * @return {function} Function that removes the extractor.
+     */
+    register(errorClass, extractor) {
+        this.registry.set(errorClass, extractor)
+        return () => {
+            if (this.registry.get(errorClass) === extractor) {
+                this.registry.delete(errorClass)
+            }
+        }
+    }
+
+    /**
+     * Find the extractor for an error.
+     *
+     * The error's class hierarchy is searched, from the most specific class,
+     * for the first class with a registered extractor.
+     *
+     * @param {*} error Error to find an extractor for.
+     * @return {?function} Extractor or `null` if none was registered.
+     */
+    _extractorFor(error) {
+        if (error === null || error === undefined) {
+            return null
+        }
+        let proto = Object.getPrototypeOf(error)
+        while (proto !== null) {
+            const extractor = this.registry.get(proto.constructor)
+            if (extractor !== undefined) {
+                return extractor
+            }
+            proto = Object.getPrototypeOf(proto)
+        }
+        return null
+    }
+
+    /**
+     * Extract fields from an error.
+     *
+     * A failing extractor has its own traceback logged and no fields are
+     * extracted.
+     *
+     * @param {?ILogger} logger Logger to write extractor tracebacks to.
+     * @param {*} error Error to extract fields from.
+     * @return {object<string,*>} Extracted fields.
+     */
+    getFieldsForError(logger, error) {
+        const extractor = this._extractorFor(error)
+        if (extractor === null) {
+            return {}
+        }
+        try {
+            return Object.assign({}, extractor(error))
+        } catch (e) {
+            const {writeTraceback} = require('./traceback')
+            writeTraceback(e, logger)
+            return {}
+        }
+    }
+}
+
+
+/** Global `ErrorExtraction`. */
+export const _errorExtraction = new ErrorExtraction()
+
+
+/**
+ * Register a function that converts an error to fields.
+ *
+ * The fields are included in action failure messages and in traceback
+ * messages for errors of `errorClass`, or any of its subclasses.
+ *
+ * @example
+ * registerExceptionExtractor(HTTPError, e => ({status: e.status}))
+ *
+ * @param {function} errorClass Class of errors to extract fields from.
+ * @param {function(error: Error): object<string,*>} extractor Function that
+ * takes an error and returns fields to be logged.
+ * @return {function} Function that removes the extractor.
+ */
+export function registerExceptionExtractor(errorClass, extractor) {
+    return _errorExtraction.register(errorClass, extractor)
+}
+
+
+/**
+ * Name of an error, or something that was thrown as one.
+ *
+ * @param {*} error Error.
+ * @return {string} Error name.
+ */
+export function _errorName(error) {
+    if (error !== null && error !== undefined) {
+        if (typeof error.name === 'string') {
+            return error.name
+        } else if (error.constructor !== undefined &&
+                   typeof error.constructor.name === 'string') {
+            return error.constructor.name
+        }
+    }
+    return typeof error
+}
+
+
+/**
+ * Parse the stack frames of an error.
+ *
+ * Frames are resolved through source maps if they are enabled, see {@link
+ * enableSourceMaps}.
+ *
+ * @param {*} error Error.
+ * @return {StackFrame[]} Stack frames, or an empty array if there are none.
+ */
+export function _parseFrames(error) {
+    let frames
+    try {
+        frames = ErrorStackParser.parse(error)
+    } catch (e) {
+        return []
+    }
+    const resolver = _sourceMaps._resolver
+    return resolver === null ? frames : resolver.resolveFrames(frames)
+}
+
+
+/**
+ * Format the stack frames of an error.
+ *
+ * @param {*} error Error.
+ * @return {string} Newline-separated stack frames, or an empty string if there
+ * are none.
+ */
+export function _formatFrames(error) {
+    return _parseFrames(error).map(f => f.toString()).join('\n')
+}
+
+
+/**
+ * Errors directly caused by `error`: its `cause`, if any.
+ *
+ * @param {*} error Error.
+ * @return {*} Cause or `undefined`, including for a `null` cause.
+ */
+function _causeOf(error) {
+    if (error === null || typeof error !== 'object' || error.cause === null) {
+        return undefined
+    }
+    return error.cause
+}
+
+
+/**
+ * Is `error` an `AggregateError`?
+ *
+ * Where `AggregateError` is not available, errors named `'AggregateError'`
+ * with an `errors` array are recognized instead.
+ *
+ * @param {*} error Error.
+ * @return {boolean} Is it an aggregate?
+ */
+function _isAggregate(error) {
+    if (typeof AggregateError !== 'undefined') {
+        return error instanceof AggregateError
+    }
+    return (error !== null && typeof error === 'object' &&
+            error.name === 'AggregateError' &&
+            Array.isArray(error.errors))
+}
+
+
+/**
+ * Errors aggregated by `error`, if it is an `AggregateError`.
+ *
+ * @param {*} error Error.
+ * @return {Array<*>} Aggregated errors.
+ */
+function _aggregatedErrors(error) {
+    return _isAggregate(error) ? error.errors : []
+}
+
+
+/**
+ * Describe a single error, including the errors it aggregates.
+ *
+ * @param {*} error Error.
+ * @param {Set<*>} seen Errors already described, to avoid cycles.
+ * @param {function(error: *): *} formatTraceback Format the traceback of an
+ * error.
+ * @return {object<string,*>} Description of the error.
+ */
+function _describeLink(error, seen, formatTraceback) {
+    const description = {[EXCEPTION_FIELD]: _errorName(error),
+                         [REASON_FIELD]: String(error),
+                         [TRACEBACK_FIELD]: formatTraceback(error)},
+          errors = []
+    for (const e of _aggregatedErrors(error)) {
+        if (!seen.has(e)) {
+            seen.add(e)
+            errors.push(_describeError(e, seen, formatTraceback))
+        }
+    }
+    if (errors.length > 0) {
+        description[ERRORS_FIELD] = errors
+    }
+    return description
+}
+
+
+/**
+ * Describe an error, including the errors it aggregates and its causal chain.
+ *
+ * @param {*} error Error.
+ * @param {Set<*>} seen Errors already described, to avoid cycles.
+ * @param {function(error: *): *} formatTraceback Format the traceback of an
+ * error.
+ * @return {object<string,*>} Description of the error.
+ */
+function _describeError(error, seen, formatTraceback) {
+    const description = _describeLink(error, seen, formatTraceback),
+          causes = []
+    let cause = _causeOf(error)
+    while (cause !== undefined && !seen.has(cause)) {
+        seen.add(cause)
+        causes.push(_describeLink(cause, seen, formatTraceback))
+        cause = _causeOf(cause)
+    }
+    if (causes.length > 0) {
+        description[CAUSES_FIELD] = causes
+    }
+    return description
+}
+
+
+/**
+ * Structured descriptions of an error's causal chain and aggregated errors.
+ *
+ * Each link in the `error.cause` chain is described, in order, by its
+ * exception name, reason and traceback under `eliot_causes`. The individual
+ * errors of an `AggregateError` are described, along with their own causes,
+ * under `eliot_errors`. Fields are omitted when there is nothing to describe.
+ *
+ * @param {*} error Error.
+ * @param {function(error: *): *} [formatTraceback] Format the traceback of an
+ * error, so that it matches the format of the traceback of `error` itself.
+ * Defaults to newline-separated JavaScript stack frames.
+ * @return {object<string,*>} Cause fields.
+ */
+export function _causeFields(error, formatTraceback=_formatFrames) {
+    const description = _describeError(
+              error, new Set([error]), formatTraceback),
+          fields = {}
+    for (const key of [CAUSES_FIELD, ERRORS_FIELD]) {
+        if (description[key] !== undefined) {
+            fields[key] = description[key]
+        }
+    }
+    return fields
+}
+
+
+/**
+ * Summary of an error's causal chain and aggregated errors.
+ *
+ * @param {*} error Error.
+ * @return {object<string,string[]>} Reasons of each cause, under
+ * `eliot_causes`, and of each aggregated error, under `eliot_errors`. Fields
+ * are omitted when there is nothing to summarize.
+ */
+export function _causeSummary(error) {
+    const fields = _causeFields(error),
+          summary = {}
+    for (const key of [CAUSES_FIELD, ERRORS_FIELD]) {
+        if (fields[key] !== undefined) {
+            summary[key] = fields[key].map(d => d[REASON_FIELD])
+        }
+    }
+    return summary
+}
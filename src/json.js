@@ -0,0 +1,299 @@
+import {_errorName} from './errors'
+
+
+export const CIRCULAR = '[Circular]'
+export const MAX_DEPTH = '[MaxDepth]'
+export const UNCONVERTIBLE = '[Unconvertible]'
+
+
+/**
+ * Convert values that `JSON.stringify` cannot handle, or handles poorly, into
+ * values it can.
+ *
+ * Circular references, `BigInt`, `Map`, `Set`, `Date`, `Buffer`, typed arrays,
+ * `ArrayBuffer` and `Error` values are all supported, conversions for other
+ * types can be registered with {@link JSONEncoder#register}. As with
+ * `JSON.stringify`, object properties whose values are `undefined`, functions
+ * or symbols are omitted and such array elements become `null`. Objects that
+ * throw while being converted, from `toJSON`, a registered conversion or a
+ * property getter, are replaced with `'[Unconvertible]'`.
+ */
+export class JSONEncoder {
+    /**
+     * @param {object} [opt] Options.
+     * @param {number} [opt.maxDepth=32] Maximum nesting depth, deeper values are
+     * replaced with `'[MaxDepth]'`.
+     * @param {number} [opt.maxItems=1000] Maximum number of elements, or
+     * properties, of a single array, object or collection to encode.
+     */
+    constructor({maxDepth=32, maxItems=1000}={}) {
+        this.maxDepth = maxDepth
+        this.maxItems = maxItems
+        /**
+         * Conversion functions mapped by class.
+         * @type {Map<function,function(value: *): *>}
+         */
+        this.types = new Map()
+    }
+
+    /**
+     * Register a function that converts instances of a class to a value that
+     * can be encoded.
+     *
+     * @param {function} type Class of values to convert, subclasses are also
+     * converted unless they have a conversion of their own.
+     * @param {function(value: *): *} convert Function that takes a value and
+     * returns a value to encode in its place.
+     * @return {function} Function that removes the conversion.
+     */
+    register(type, convert) {
+        this.types.set(type, convert)
+        return () => {
+            if (this.types.get(type) === convert) {
+                this.types.delete(type)
+            }
+        }
+    }
+
+    /**
+     * Find the registered conversion for a value.
+     *
+     * @param {object} value Value.
+     * @return {?function} Conversion or `null` if none was registered.
+     */
+    _conversionFor(value) {
+        if (this.types.size === 0) {
+            return null
+        }
+        let proto = Object.getPrototypeOf(value)
+        while (proto !== null) {
+            const convert = this.types.get(proto.constructor)
+            if (convert !== undefined) {
+                return convert
+            }
+            proto = Object.getPrototypeOf(proto)
+        }
+        return null
+    }
+
+    /**
+     * Convert a value into one that `JSON.stringify` can encode faithfully.
+     *
+     * @param {*} value Value to convert.
+     * @return {*} JSON-compatible value.
+     */
+    toJSON(value) {
+        const result = this._convert(value, [])
+        return result === undefined ? null : result
+    }
+
+    /**
+     * Encode a value as JSON.
+     *
+     * @param {*} value Value to encode.
+     * @param {number|string} [space] Indentation, see `JSON.stringify`.
+     * @return {string} JSON string.
+     */
+    encode(value, space) {
+        return JSON.stringify(this.toJSON(value), null, space)
+    }
+
+    /**
+     * Convert a value, keeping track of the objects being converted.
+     *
+     * @param {*} value Value to convert.
+     * @param {object[]} ancestors Objects containing `value`, outermost first.
+     * @return {*} JSON-compatible value, or `undefined` if the value should be
+     * omitted.
+     */
+    _convert(value, ancestors) {
+        switch (typeof value) {
+            case 'string':
+            case 'boolean':
+                return value
+            case 'number':
+                return isFinite(value) ? value : null
+            case 'bigint':
+                return value.toString()
+            case 'undefined':
+            case 'function':
+            case 'symbol':
+                return undefined
+        }
+        if (value === null) {
+            return null
+        } else if (ancestors.indexOf(value) !== -1) {
+            return CIRCULAR
+        } else if (ancestors.length >= this.maxDepth) {
+            return MAX_DEPTH
+        }
+        ancestors.push(value)
+        try {
+            return this._convertObject(value, ancestors)
+        } catch (e) {
+            return UNCONVERTIBLE
+        } finally {
+            ancestors.pop()
+        }
+    }
+
+    /**
+     * Convert an object.
+     *
+     * @param {object} value Object to convert.
+     * @param {object[]} ancestors Objects containing `value`, including itself.
+     * @return {*} JSON-compatible value.
+     */
+    _convertObject(value, ancestors) {
+        const convert = this._conversionFor(value)
+        if (convert !== null) {
+            return this._convert(convert(value), ancestors)
+        } else if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString()
+        } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+            return value.toString('base64')
+        } else if (value instanceof ArrayBuffer) {
+            return this._convertArray(new Uint8Array(value), ancestors)
+        } else if (ArrayBuffer.isView(value)) {
+            return this._convertArray(
+                value instanceof DataView
+                    ? new Uint8Array(
+                        value.buffer, value.byteOffset, value.byteLength)
+                    : value,
+                ancestors)
+        } else if (Array.isArray(value) || value instanceof Set) {
+            return this._convertArray(value, ancestors)
+        } else if (value instanceof Map) {
+            const entries = Array.from(value.entries()).map(([k, v]) => [
+                typeof k === 'string' ? k : this.encode(k), v])
+            return this._convertEntries(entries, ancestors)
+        } else if (value instanceof Error) {
+            return this._convertError(value, ancestors)
+        } else if (typeof value.toJSON === 'function') {
+            return this._convert(value.toJSON(), ancestors)
+        }
+        return this._convertEntries(
+            Object.keys(value).map(k => [k, value[k]]), ancestors)
+    }
+
+    /**
+     * Convert the elements of an iterable to an array.
+     *
+     * @param {Iterable} value Iterable to convert.
+     * @param {object[]} ancestors Objects containing the elements.
+     * @return {Array} JSON-compatible array, with a final element noting how
+     * many elements were omitted if there were too many.
+     */
+    _convertArray(value, ancestors) {
+        const items = Array.from(value),
+              result = items.slice(0, this.maxItems).map(item => {
+                  const converted = this._convert(item, ancestors)
+                  return converted === undefined ? null : converted
+              })
+        if (items.length > this.maxItems) {
+            result.push(`[${items.length - this.maxItems} more items]`)
+        }
+        return result
+    }
+
+    /**
+     * Convert key-value pairs to an object.
+     *
+     * @param {Array} entries Key-value pairs.
+     * @param {object[]} ancestors Objects containing the values.
+     * @return {object} JSON-compatible object, with a `'[truncated]'` property
+     * noting how many properties were omitted if there were too many.
+     */
+    _convertEntries(entries, ancestors) {
+        const result = {}
+        for (const [key, item] of entries.slice(0, this.maxItems)) {
+            const converted = this._convert(item, ancestors)
+            if (converted !== undefined) {
+                result[key] = converted
+            }
+        }
+        if (entries.length > this.maxItems) {
+            result['[truncated]'] = entries.length - this.maxItems
+        }
+        return result
+    }
+
+    /**
+     * Convert an error to an object with its name, message, cause and any other
+     * properties.
+     *
+     * @param {Error} error Error to convert.
+     * @param {object[]} ancestors Objects containing the error.
+     * @return {object} JSON-compatible object.
+     */
+    _convertError(error, ancestors) {
+        const entries = [['name', _errorName(error)],
+                         ['message', error.message]]
+        for (const key of Object.keys(error)) {
+            if (key !== 'name' && key !== 'message') {
+                entries.push([key, error[key]])
+            }
+        }
+        if (error.cause !== undefined &&
+            Object.keys(error).indexOf('cause') === -1) {
+            entries.push(['cause', error.cause])
+        }
+        return this._convertEntries(entries, ancestors)
+    }
+}
+
+
+/**
+ * Global `JSONEncoder`, used by the logger and built-in destinations.
+ * @type {JSONEncoder}
+ */
+export const _encoder = new JSONEncoder()
+
+
+/**
+ * Encode a value as JSON with the global encoder, never throwing for values that
+ * `JSON.stringify` would reject.
+ *
+ * @param {*} value Value to encode.
+ * @param {number|string} [space] Indentation, see `JSON.stringify`.
+ * @return {string} JSON string.
+ * @see {@link JSONEncoder}
+ */
+export function encodeJSON(value, space) {
+    return _encoder.encode(value, space)
+}
+
+
+/**
+ * Register a function that converts instances of a class for JSON encoding.
+ *
+ * @example
+ * registerJSONType(URL, url => url.href)
+ *
+ * @param {function} type Class of values to convert.
+ * @param {function(value: *): *} convert Function that takes a value and
+ * returns a value to encode in its place.
+ * @return {function} Function that removes the conversion.
+ * @see {@link JSONEncoder#register}
+ */
+export function registerJSONType(type, convert) {
+    return _encoder.register(type, convert)
+}
+
+
+/**
+ * Change the limits of the global encoder.
+ *
+ * @param {object} [opt] Options, see {@link JSONEncoder}.
+ * @return {function} Function that restores the previous limits.
+ */
+export function configureJSONEncoder({maxDepth=_encoder.maxDepth,
+                                      maxItems=_encoder.maxItems}={}) {
+    const {maxDepth: previousDepth, maxItems: previousItems} = _encoder
+    _encoder.maxDepth = maxDepth
+    _encoder.maxItems = maxItems
+    return () => {
+        _encoder.maxDepth = previousDepth
+        _encoder.maxItems = previousItems
+    }
+}
@@ -108,17 +108,42 @@ export class Message {
     /**
      * Write the message to a logger.
      *
-     * @param {?Logger} [logger] Optional logger to write to.
+     * @param {?Logger} [logger] Optional logger to write to, if `null` the
+     * logger of the action is used, or the default logger if there is none.
      * @param {?Action} [action] Optional action which is the context of this
      * message, if `null` the current action will be used.
      */
     write(logger=null, action=null) {
-        if (logger === null) {
-            const {_DEFAULT_LOGGER} = require('./output')
-            logger = _DEFAULT_LOGGER
+        if (action === null) {
+            action = currentAction()
+        }
+        logger = _messageLogger(logger, action)
+        const dict = this._freeze(action)
+        if (action !== null && action._sample !== null) {
+            action._sample._write(logger, dict, this._serializer)
+        } else {
+            logger.write(dict, this._serializer)
         }
-        logger.write(this._freeze(action), this._serializer)
     }
 }
 
 Message._time = () => (new Date()).getTime() / 1000
+
+
+/**
+ * Logger a message is written to.
+ *
+ * @param {?ILogger} logger Logger, or `null` for the logger of the action.
+ * @param {?Action} action Action which is the context of the message.
+ * @return {ILogger} The logger, the logger of the action if there is none, or
+ * the default logger if neither is known.
+ */
+export function _messageLogger(logger, action) {
+    if (logger === null && action !== null) {
+        logger = action._logger
+    }
+    if (logger === null) {
+        logger = require('./output')._DEFAULT_LOGGER
+    }
+    return logger
+}
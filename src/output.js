@@ -1,10 +1,21 @@
 import ExtendableError from 'es6-error'
 
-import {writeTraceback, TRACEBACK_MESSAGE} from './traceback'
+import {_isThenable, ACTION_STATUS_FIELD, ACTION_TYPE_FIELD} from './action'
+import {encodeJSON} from './json'
+import {_redactUndeclared} from './redaction'
+import {_compileFilter} from './routing'
+import * as _truncation from './truncation'
+import {_checkTracebackFormat,
+        writeTraceback,
+        JAVASCRIPT_FORMAT,
+        TRACEBACK_MESSAGE} from './traceback'
 import {Message,
         EXCEPTION_FIELD,
         MESSAGE_TYPE_FIELD,
-        REASON_FIELD} from './message'
+        REASON_FIELD,
+        TASK_LEVEL_FIELD,
+        TASK_UUID_FIELD,
+        TIMESTAMP_FIELD} from './message'
 
 
 export class _DestinationsSendError extends ExtendableError {
@@ -20,30 +31,383 @@ ${this.errors.map(x => x.toString()).join('\n')}`
 }
 
 
+export const BUFFER_OVERFLOW_MESSAGE_TYPE = 'eliot_js:buffer_overflow'
+export const DESTINATION_FAILURE_MESSAGE_TYPE = 'eliot_js:destination_failure'
+export const DESTINATION_DISABLED_MESSAGE_TYPE = 'eliot_js:destination_disabled'
+export const DESTINATION_RECOVERED_MESSAGE_TYPE = 'eliot_js:destination_recovered'
+
+
+/**
+ * Create a message reporting that a destination failed to write a message.
+ *
+ * @param {Error} error Destination failure.
+ * @param {MessageDictionary} dict Message that could not be written.
+ * @return {MessageDictionary} Message dictionary.
+ */
+function _destinationFailure(error, dict) {
+    const msg = new Message({
+        [MESSAGE_TYPE_FIELD]: DESTINATION_FAILURE_MESSAGE_TYPE,
+        [REASON_FIELD]: error.toString(),
+        [EXCEPTION_FIELD]: error.name,
+        'message': encodeJSON(dict)})
+    return msg._freeze()
+}
+
+
+/**
+ * Fields that identify a message and its place in a task, which enrichment
+ * never adds or replaces and truncation never alters.
+ */
+const _PROTECTED_FIELDS = [TASK_UUID_FIELD,
+                           TASK_LEVEL_FIELD,
+                           TIMESTAMP_FIELD,
+                           MESSAGE_TYPE_FIELD,
+                           ACTION_TYPE_FIELD,
+                           ACTION_STATUS_FIELD]
+
+
+/**
+ * Copy enrichment fields to a message, except for protected fields.
+ *
+ * @param {MessageDictionary} message Message dictionary to enrich in-place.
+ * @param {?object<string,*>} fields Enrichment fields.
+ */
+function _assignEnrichment(message, fields) {
+    if (fields === null || fields === undefined) {
+        return
+    }
+    for (const key of Object.keys(fields)) {
+        if (_PROTECTED_FIELDS.indexOf(key) === -1) {
+            message[key] = fields[key]
+        }
+    }
+}
+
+
+/**
+ * Name of a destination, for reporting.
+ *
+ * @param {function|IDestination} destination Destination.
+ * @return {string} Function or class name of the destination.
+ */
+function _destinationName(destination) {
+    if (typeof destination === 'function') {
+        return destination.name || 'anonymous'
+    } else if (typeof destination.name === 'string') {
+        return destination.name
+    }
+    return destination.constructor.name
+}
+
+
+/**
+ * Delivery statistics of a destination.
+ *
+ * @typedef {object} DestinationHealth
+ * @property {function|IDestination} destination Destination.
+ * @property {number} sent Number of messages written successfully.
+ * @property {number} failures Total number of failed writes.
+ * @property {number} consecutiveFailures Number of failed writes since the
+ * last successful one.
+ * @property {?Error} lastError Most recent failure.
+ * @property {?number} lastFailure Timestamp, in seconds, of the most recent
+ * failure.
+ * @property {boolean} disabled Is the destination disabled after failing too
+ * many times in a row?
+ * @property {number} dropped Number of messages not written because the
+ * destination is disabled.
+ */
+
+
+/**
+ * Delivery statistics and circuit breaker state of a destination.
+ */
+class _DestinationHealth {
+    constructor() {
+        this.sent = 0
+        this.failures = 0
+        this.consecutiveFailures = 0
+        this.lastError = null
+        this.lastFailure = null
+        this.dropped = 0
+        /**
+         * Time, in seconds, at which to next try a disabled destination, or
+         * `null` if the destination is enabled.
+         * @type {?number}
+         */
+        this.probeAt = null
+    }
+}
+
+
+/**
+ * Call a lifecycle method on every destination that implements it.
+ *
+ * @param {Array<function|IDestination>} destinations Destinations.
+ * @param {string} method Method name, `'flush'` or `'close'`.
+ * @return {Promise} Promise that resolves when every call has completed, or
+ * rejects with a `_DestinationsSendError` if any of them failed.
+ */
+function _callAll(destinations, method) {
+    const errors = [],
+          calls = destinations
+              .filter(d => typeof d[method] === 'function')
+              .map(d => new Promise(resolve => resolve(d[method]()))
+                   .catch(e => { errors.push(e) }))
+    return Promise.all(calls).then(() => {
+        if (errors.length > 0) {
+            throw new _DestinationsSendError(errors)
+        }
+    })
+}
+
+
+/**
+ * A message destination that may write asynchronously.
+ *
+ * A plain function that takes a message dictionary is also a valid
+ * destination.
+ *
+ * @interface
+ */
+export class IDestination {
+    /**
+     * Write a message dictionary.
+     *
+     * @abstract
+     * @param {MessageDictionary} message Message dictionary, this value must
+     * not be mutated.
+     * @return {?Promise} Optionally a promise that resolves once the message
+     * has been written.
+     */
+    write(message) {}
+
+    /**
+     * Should a message be written to this destination?
+     *
+     * Optional. A message that is not accepted is treated as if a filter
+     * excluded it, it is neither written nor counted in the health of the
+     * destination.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @return {boolean} Accept the message?
+     */
+    accepts(message) {}
+
+    /**
+     * Write out any messages that are buffered by the destination.
+     *
+     * Optional.
+     *
+     * @return {?Promise} Optionally a promise that resolves once buffered
+     * messages have been written.
+     */
+    flush() {}
+
+    /**
+     * Release any resources held by the destination, writing out any buffered
+     * messages first.
+     *
+     * Optional.
+     *
+     * @return {?Promise} Optionally a promise that resolves once the
+     * destination is closed.
+     */
+    close() {}
+}
+
+
 /**
  * Manage a list of destinations for message dictionaries.
  *
  * The global instance of this object is where `Logger` instances will
  * send written messages.
+ *
+ * Messages sent before the first destination is added are buffered, and
+ * delivered to that destination when it is added, so that early messages are
+ * not lost.
+ *
+ * Only the first of consecutive failures of a destination is reported. A
+ * destination that fails `failureThreshold` times in a row is disabled, which
+ * is reported with an `eliot_js:destination_disabled` message, and retried
+ * with a single message every `probeInterval` seconds. When a destination
+ * succeeds after failing, its recovery is reported with an
+ * `eliot_js:destination_recovered` message.
  */
 export class Destinations {
-    constructor() {
-        this._destinations = []
+    /**
+     * @param {object} [opt] Options.
+     * @param {number} [opt.bufferLimit=1000] Maximum number of messages to
+     * buffer until the first destination is added, older messages are
+     * discarded first. Use `0` to disable buffering.
+     * @param {number} [opt.failureThreshold=5] Number of consecutive failures
+     * after which a destination is disabled.
+     * @param {number} [opt.probeInterval=30] Seconds between attempts to write
+     * to a disabled destination.
+     */
+    constructor({bufferLimit=1000, failureThreshold=5, probeInterval=30}={}) {
+        this.failureThreshold = failureThreshold
+        this.probeInterval = probeInterval
+        /**
+         * Registrations of destinations, in the order they were added. A
+         * destination added more than once has a registration, and filter,
+         * for each time.
+         * @type {Array<{destination: function|IDestination, filter: ?function}>}
+         */
+        this._registrations = []
+        /**
+         * Health of each destination.
+         * @type {Map<function|IDestination,_DestinationHealth>}
+         */
+        this._health = new Map()
         this._globalFields = {}
+        /**
+         * Functions computing additional fields for each message.
+         * @type {Array<function(message: MessageDictionary): object>}
+         */
+        this._enrichers = []
+        this._bufferLimit = bufferLimit
+        /**
+         * Messages sent before any destination was added, or `null` once
+         * buffering has stopped.
+         * @type {?MessageDictionary[]}
+         */
+        this._buffer = bufferLimit > 0 ? [] : null
+        this._bufferDropped = 0
+        /**
+         * Asynchronous writes that have not yet settled.
+         * @type {Set<Promise>}
+         */
+        this._pending = new Set()
     }
 
+    /**
+     * Add fields to every message.
+     *
+     * Fields are added to messages written by a {@link Logger} before sensitive
+     * fields are redacted and oversized values are truncated. Fields identifying a message, such as `task_uuid`,
+     * `task_level`, `timestamp` and the message or action type, are never
+     * added or replaced.
+     *
+     * @param {object<string,*>} fields Fields to add.
+     */
     addGlobalFields(fields) {
         Object.assign(this._globalFields, fields)
     }
 
-    send(message) {
-        message = Object.assign(message, this._globalFields)
-        const errors = []
-        for (const dest of this._destinations) {
+    /**
+     * Add fields computed for each message.
+     *
+     * Enrichers are called in the order they were added, after global fields
+     * are applied. An enricher that throws contributes no fields. As with
+     * global fields, fields identifying a message are never added or replaced.
+     *
+     * @example
+     * destinations.addEnricher(() => ({user: currentUser()}))
+     *
+     * @param {function(message: MessageDictionary): object<string,*>} enricher
+     * Function that takes a message dictionary, which must not be mutated, and
+     * returns fields to add to it.
+     * @return {function} Function that removes `enricher`.
+     */
+    addEnricher(enricher) {
+        this._enrichers.push(enricher)
+        return () => {
+            const index = this._enrichers.indexOf(enricher)
+            if (index !== -1) {
+                this._enrichers.splice(index, 1)
+            }
+        }
+    }
+
+    /**
+     * Add global and computed fields to a message.
+     *
+     * @param {MessageDictionary} message Message dictionary to enrich in-place.
+     * @return {MessageDictionary} `message`.
+     */
+    _enrich(message) {
+        _assignEnrichment(message, this._globalFields)
+        for (const enricher of this._enrichers) {
+            let fields
             try {
-                dest(message)
+                fields = enricher(message)
             } catch (e) {
-                errors.push(e)
+                // Reporting the failure would enrich, and fail, again.
+                continue
+            }
+            _assignEnrichment(message, fields)
+        }
+        return message
+    }
+
+    /**
+     * Stop buffering messages, discarding any that have been buffered.
+     */
+    stopBuffering() {
+        this._buffer = null
+        this._bufferDropped = 0
+    }
+
+    /**
+     * Change how many messages are buffered until the first destination is
+     * added.
+     *
+     * Has no effect once buffering has stopped.
+     *
+     * @example
+     * destinations.configureBuffering({limit: 10000})
+     *
+     * @param {object} [opt] Options.
+     * @param {number} [opt.limit=1000] Maximum number of messages to buffer,
+     * older messages are discarded first. Use `0` to stop buffering, see
+     * {@link Destinations#stopBuffering}.
+     */
+    configureBuffering({limit=1000}={}) {
+        if (this._buffer === null) {
+            return
+        } else if (limit <= 0) {
+            this.stopBuffering()
+            return
+        }
+        this._bufferLimit = limit
+        while (this._buffer.length > limit) {
+            this._buffer.shift()
+            this._bufferDropped++
+        }
+    }
+
+    send(message) {
+        this._sendExcept(this._enrich(message), null)
+    }
+
+    /**
+     * Send an enriched message dictionary to every destination but one.
+     *
+     * @param {MessageDictionary} message Message dictionary, already enriched
+     * with global and computed fields.
+     * @param {?(function|IDestination)} except Destination to skip, or `null`
+     * to send to every destination.
+     * @throws {_DestinationsSendError} If any destination failed
+     * synchronously.
+     */
+    _sendExcept(message, except) {
+        if (this._buffer !== null) {
+            this._buffer.push(message)
+            if (this._buffer.length > this._bufferLimit) {
+                this._buffer.shift()
+                this._bufferDropped++
+            }
+            return
+        }
+        const errors = []
+        for (const registration of this._registrations) {
+            if (registration.destination === except) {
+                continue
+            }
+            const error = this._deliver(registration, message)
+            if (error !== null) {
+                errors.push(error)
             }
         }
         if (errors.length > 0) {
@@ -51,26 +415,326 @@ export class Destinations {
         }
     }
 
+    /**
+     * Deliver a message to a single destination, if the filter of its
+     * registration and the destination accept the message and the destination
+     * is not disabled.
+     *
+     * @param {object} registration Destination registration.
+     * @param {MessageDictionary} message Message dictionary.
+     * @return {?Error} Synchronous failure that should be reported, or `null`.
+     */
+    _deliver({destination, filter}, message) {
+        const health = this._health.get(destination)
+        try {
+            if ((filter !== null && !filter(message)) ||
+                (typeof destination.accepts === 'function' &&
+                 !destination.accepts(message))) {
+                return null
+            } else if (!this._available(health)) {
+                health.dropped++
+                return null
+            }
+            this._write(destination, health, message)
+        } catch (e) {
+            return this._failed(destination, health, e) ? e : null
+        }
+        return null
+    }
+
+    /**
+     * Should a message be written to a destination, given its health?
+     *
+     * A disabled destination is only available once every `probeInterval`
+     * seconds.
+     *
+     * @param {_DestinationHealth} health Destination health.
+     * @return {boolean} Is the destination available?
+     */
+    _available(health) {
+        if (health.probeAt === null) {
+            return true
+        }
+        const now = Message._time()
+        if (now < health.probeAt) {
+            return false
+        }
+        health.probeAt = now + this.probeInterval
+        return true
+    }
+
+    /**
+     * Write a message to a single destination.
+     *
+     * Asynchronous writes are tracked until they settle, a failed asynchronous
+     * write is reported with an `eliot_js:destination_failure` message.
+     *
+     * @param {function|IDestination} destination Destination.
+     * @param {_DestinationHealth} health Destination health.
+     * @param {MessageDictionary} message Message dictionary.
+     * @throws {Error} If the destination fails synchronously.
+     */
+    _write(destination, health, message) {
+        const result = (typeof destination === 'function'
+                        ? destination(message)
+                        : destination.write(message))
+        if (_isThenable(result)) {
+            const pending = Promise.resolve(result)
+                .then(() => this._succeeded(destination, health),
+                      e => this._writeFailed(destination, health, e, message))
+                .then(() => { this._pending.delete(pending) })
+            this._pending.add(pending)
+        } else {
+            this._succeeded(destination, health)
+        }
+    }
+
+    /**
+     * Record a successful write.
+     *
+     * The recovery of a destination is reported, with a summary of its
+     * failures, if it was disabled or some of those failures went unreported.
+     *
+     * @param {function|IDestination} destination Destination.
+     * @param {_DestinationHealth} health Destination health.
+     */
+    _succeeded(destination, health) {
+        const failures = health.consecutiveFailures,
+              dropped = health.dropped,
+              disabled = health.probeAt !== null
+        health.sent++
+        health.consecutiveFailures = 0
+        health.dropped = 0
+        health.probeAt = null
+        if (disabled || failures > 1) {
+            this._notify(new Message({
+                [MESSAGE_TYPE_FIELD]: DESTINATION_RECOVERED_MESSAGE_TYPE,
+                destination: _destinationName(destination),
+                failures,
+                dropped})._freeze())
+        }
+    }
+
+    /**
+     * Record a failed write, disabling the destination if it has failed too
+     * many times in a row.
+     *
+     * @param {function|IDestination} destination Destination.
+     * @param {_DestinationHealth} health Destination health.
+     * @param {Error} error Destination failure.
+     * @return {boolean} Should this failure be reported? Only the first of
+     * consecutive failures is.
+     */
+    _failed(destination, health, error) {
+        const now = Message._time()
+        health.failures++
+        health.consecutiveFailures++
+        health.lastError = error
+        health.lastFailure = now
+        if (health.probeAt !== null) {
+            health.probeAt = now + this.probeInterval
+        } else if (health.consecutiveFailures >= this.failureThreshold) {
+            health.probeAt = now + this.probeInterval
+            this._notify(new Message({
+                [MESSAGE_TYPE_FIELD]: DESTINATION_DISABLED_MESSAGE_TYPE,
+                [REASON_FIELD]: error.toString(),
+                [EXCEPTION_FIELD]: error.name,
+                destination: _destinationName(destination),
+                failures: health.consecutiveFailures})._freeze())
+        }
+        return health.consecutiveFailures === 1
+    }
+
+    /**
+     * Record and report a failed asynchronous write.
+     *
+     * Failures to write failure reports are not reported again, and failures
+     * are not reported to the destination that failed.
+     *
+     * @param {function|IDestination} destination Destination.
+     * @param {_DestinationHealth} health Destination health.
+     * @param {Error} error Destination failure.
+     * @param {MessageDictionary} message Message that could not be written.
+     */
+    _writeFailed(destination, health, error, message) {
+        if (this._failed(destination, health, error) &&
+            message[MESSAGE_TYPE_FIELD] !== DESTINATION_FAILURE_MESSAGE_TYPE) {
+            this._notify(_destinationFailure(error, message), destination)
+        }
+    }
+
+    /**
+     * Send a message about the destinations themselves.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     * @param {?(function|IDestination)} [except] Destination not to send the
+     * message to, such as one whose failure it reports.
+     */
+    _notify(message, except=null) {
+        try {
+            this._sendExcept(this._enrich(message), except)
+        } catch (e) {
+            if (console.error !== undefined) {
+                console.error('Exception in exception handler', e)
+            }
+        }
+    }
+
+    /**
+     * Delivery statistics of each destination.
+     *
+     * @return {DestinationHealth[]} Destination statistics, in the order the
+     * destinations were added.
+     */
+    health() {
+        const destinations = new Set(this._destinationList())
+        return Array.from(destinations).map(destination => {
+            const health = this._health.get(destination)
+            return {destination,
+                    sent: health.sent,
+                    failures: health.failures,
+                    consecutiveFailures: health.consecutiveFailures,
+                    lastError: health.lastError,
+                    lastFailure: health.lastFailure,
+                    disabled: health.probeAt !== null,
+                    dropped: health.dropped}
+        })
+    }
+
+    /**
+     * Wait for all pending asynchronous writes to settle.
+     *
+     * @return {Promise} Promise that resolves once there are no pending writes.
+     */
+    _settle() {
+        if (this._pending.size === 0) {
+            return Promise.resolve()
+        }
+        return Promise.all(Array.from(this._pending)).then(() => this._settle())
+    }
+
+    /**
+     * Wait for pending writes and flush all destinations.
+     *
+     * Destinations are flushed while pending writes settle, since the writes
+     * of a buffering destination may only settle once it is flushed.
+     *
+     * @return {Promise} Promise that resolves once all pending writes have
+     * settled and every destination implementing `flush` has been flushed, or
+     * rejects with a `_DestinationsSendError` if any destination failed to
+     * flush.
+     */
+    flush() {
+        return Promise.all([this._settle(),
+                            _callAll(this._destinationList(), 'flush')])
+            .then(() => {})
+    }
+
+    /**
+     * Wait for pending writes, close and remove all destinations.
+     *
+     * @return {Promise} Promise that resolves once all pending writes have
+     * settled and every destination implementing `close` has been closed, or
+     * rejects with a `_DestinationsSendError` if any destination failed to
+     * close.
+     */
+    close() {
+        const destinations = this._destinationList()
+        this._registrations = []
+        this._health.clear()
+        return Promise.all([this._settle(), _callAll(destinations, 'close')])
+            .then(() => {})
+    }
+
     /**
      * Add a new message destination.
      *
      * A destination should never ever throw an exception. Seriously. A
      * destination should not mutate the message it is given.
      *
-     * @param {function} destination Function that takes a message dictionary.
-     * @return {function} Function that removes `destination`.
+     * @example
+     * destinations.add(auditDestination, {actionType: 'audit:*'})
+     *
+     * @param {function|IDestination} destination Function that takes a message
+     * dictionary, or an object implementing `IDestination`.
+     * @param {?(MessageFilter|function)} [filter] Criteria, or a predicate, for
+     * messages to send to `destination`; `null` to send all messages. Each
+     * time a destination is added it is sent the messages its filter for
+     * that registration accepts.
+     * @return {function} Function that removes this registration of
+     * `destination`.
      */
-    add(destination) {
-        this._destinations.push(destination)
-        return () => this.remove(destination)
+    add(destination, filter=null) {
+        const registration = {destination, filter: _compileFilter(filter)}
+        this._registrations.push(registration)
+        if (!this._health.has(destination)) {
+            this._health.set(destination, new _DestinationHealth())
+        }
+        if (this._buffer !== null) {
+            this._flushBuffer(registration)
+        }
+        return () => this._unregister(registration)
+    }
+
+    /**
+     * Registered destinations, in the order they were added.
+     *
+     * @return {Array<function|IDestination>} Destinations.
+     */
+    _destinationList() {
+        return this._registrations.map(r => r.destination)
+    }
+
+    /**
+     * Deliver buffered messages to a destination and stop buffering.
+     *
+     * If messages were discarded because the buffer limit was reached, an
+     * `eliot_js:buffer_overflow` message is delivered first.
+     *
+     * @param {object} registration Destination registration.
+     */
+    _flushBuffer(registration) {
+        const buffer = this._buffer,
+              dropped = this._bufferDropped
+        this.stopBuffering()
+        if (dropped > 0) {
+            const msg = new Message({
+                [MESSAGE_TYPE_FIELD]: BUFFER_OVERFLOW_MESSAGE_TYPE,
+                dropped})
+            buffer.unshift(this._enrich(msg._freeze()))
+        }
+        for (const message of buffer) {
+            // There is nowhere to report failures yet, the destination will
+            // fail again for new messages.
+            this._deliver(registration, message)
+        }
     }
 
     remove(destination) {
-        const index = this._destinations.indexOf(destination)
-        if (index === -1) {
+        const registration = this._registrations.find(
+            r => r.destination === destination)
+        if (registration === undefined) {
             throw new Error('Unknown destination')
         }
-        this._destinations.splice(index, 1)
+        this._unregister(registration)
+    }
+
+    /**
+     * Remove a single registration of a destination, forgetting the health of
+     * the destination once it has no registrations left.
+     *
+     * @param {object} registration Destination registration.
+     */
+    _unregister(registration) {
+        const index = this._registrations.indexOf(registration)
+        if (index === -1) {
+            return
+        }
+        this._registrations.splice(index, 1)
+        const {destination} = registration
+        if (!this._registrations.some(r => r.destination === destination)) {
+            this._health.delete(destination)
+        }
     }
 }
 
@@ -88,6 +752,83 @@ export function addDestination(...args) {
 }
 
 
+/**
+ * Stop buffering messages until the first destination is added.
+ *
+ * @see {@link Destinations#stopBuffering}
+ */
+export function stopBuffering() {
+    _destinations.stopBuffering()
+}
+
+
+/**
+ * Change how many messages are buffered until the first destination is added.
+ *
+ * @example
+ * configureBuffering({limit: 10000})
+ *
+ * @see {@link Destinations#configureBuffering}
+ */
+export function configureBuffering(...args) {
+    _destinations.configureBuffering(...args)
+}
+
+
+/**
+ * Add fields to every message sent to the global destinations.
+ *
+ * @example
+ * addGlobalFields(Object.assign({service: 'api', version: '1.2.0'},
+ *                               enrichment.nodeEnvironment()))
+ *
+ * @see {@link Destinations#addGlobalFields}
+ */
+export function addGlobalFields(fields) {
+    _destinations.addGlobalFields(fields)
+}
+
+
+/**
+ * Add fields computed for each message sent to the global destinations.
+ *
+ * @see {@link Destinations#addEnricher}
+ */
+export function addEnricher(enricher) {
+    return _destinations.addEnricher(enricher)
+}
+
+
+/**
+ * Delivery statistics of each global destination.
+ *
+ * @see {@link Destinations#health}
+ */
+export function destinationHealth() {
+    return _destinations.health()
+}
+
+
+/**
+ * Wait for pending writes and flush all destinations.
+ *
+ * @see {@link Destinations#flush}
+ */
+export function flushDestinations() {
+    return _destinations.flush()
+}
+
+
+/**
+ * Wait for pending writes, close and remove all destinations.
+ *
+ * @see {@link Destinations#close}
+ */
+export function closeDestinations() {
+    return _destinations.close()
+}
+
+
 /**
  * @interface
  */
@@ -105,17 +846,36 @@ export class ILogger {
 
 
 /**
- * Write out messages to the globally configured destination(s).
+ * Write out messages to a set of destinations, the globally configured
+ * destination(s) by default.
  * @implements {ILogger}
  */
 export class Logger {
-    constructor(destinations=_destinations) {
-        this._destinations = _destinations
+    /**
+     * @param {Destinations} [destinations] Destinations to write to.
+     * @param {object} [opt] Options.
+     * @param {string} [opt.tracebackFormat] Format of the `traceback` field of
+     * traceback messages: `'javascript'`, `'python'` or `'structured'`.
+     */
+    constructor(destinations=_destinations,
+                {tracebackFormat=JAVASCRIPT_FORMAT}={}) {
+        _checkTracebackFormat(tracebackFormat)
+        this._destinations = destinations
+        /**
+         * Format of the `traceback` field of traceback messages.
+         * @type {string}
+         */
+        this.tracebackFormat = tracebackFormat
     }
 
     /**
      * Serialize a message dictionary and write it to the destination(s).
      *
+     * Global and computed fields are added, see {@link
+     * Destinations#addEnricher}, then sensitive fields are redacted and, if
+     * configured, oversized values are truncated, see {@link
+     * configureTruncation}.
+     *
      * @param {MessageDictionary} dict Message dictionary.
      * @param {?_MessageSerializer} [serializer] Message serializer.
      */
@@ -127,25 +887,48 @@ export class Logger {
             }
         } catch (e) {
             writeTraceback(e, this)
+            serializer.redact(dict)
+            _redactUndeclared(dict, serializer)
             const msg = new Message({
                 [MESSAGE_TYPE_FIELD]: 'eliot_js:serialization_failure',
-                message: JSON.stringify(dict)})
+                message: encodeJSON(dict)})
             msg.write(this)
             return
         }
+        this._destinations._enrich(dict)
+        _redactUndeclared(dict, serializer)
+
+        const truncator = _truncation._truncator
+        if (truncator === null) {
+            this._send(dict)
+            return
+        }
+        dict = truncator.truncate(dict, _PROTECTED_FIELDS)
+        this._send(dict)
+        const report = truncator._report()
+        if (report !== null) {
+            this._send(this._destinations._enrich(report))
+        }
+    }
 
+    /**
+     * Send an enriched message dictionary to the destination(s), reporting
+     * destination failures.
+     *
+     * @param {MessageDictionary} dict Message dictionary, already enriched
+     * with global and computed fields.
+     */
+    _send(dict) {
         try {
-            this._destinations.send(dict)
+            this._destinations._sendExcept(dict, null)
         } catch (e) {
             if (e instanceof _DestinationsSendError) {
                 for (const ee of e.errors) {
                     try {
-                        const msg = new Message({
-                            [MESSAGE_TYPE_FIELD]: 'eliot_js:destination_failure',
-                            [REASON_FIELD]: ee.toString(),
-                            [EXCEPTION_FIELD]: ee.name,
-                            'message': JSON.stringify(dict)})
-                        this._destinations.send(msg._freeze())
+                        this._destinations._sendExcept(
+                            this._destinations._enrich(
+                                _destinationFailure(ee, dict)),
+                            null)
                     } catch (e) {
                         // Raising an exception to the caller will break
                         // business logic, better to not do that even if it
@@ -167,6 +950,31 @@ export class Logger {
 export const _DEFAULT_LOGGER = new Logger()
 
 
+/**
+ * Create a logger with its own destinations, independent of the global
+ * destinations.
+ *
+ * Actions started with the logger, and messages written within those actions,
+ * are written to the logger's destinations unless another logger is given.
+ *
+ * @example
+ * const {logger, destinations} = createLogger()
+ * destinations.add(toConsole())
+ * startTask(logger, 'tenant:request')
+ *
+ * @param {object} [opt] Options.
+ * @param {number} [opt.bufferLimit] See {@link Destinations}.
+ * @param {string} [opt.tracebackFormat] See {@link Logger}.
+ * @return {{logger: Logger, destinations: Destinations}} Logger and its
+ * destinations.
+ */
+export function createLogger({bufferLimit, tracebackFormat}={}) {
+    const destinations = new Destinations({bufferLimit}),
+          logger = new Logger(destinations, {tracebackFormat})
+    return {logger, destinations}
+}
+
+
 /**
  * Store written messages in memory.
  *
@@ -174,7 +982,18 @@ export const _DEFAULT_LOGGER = new Logger()
  * {@link captureLogging} rather than instantiate a `MemoryLogger` manually.
  */
 export class MemoryLogger {
-    constructor() {
+    /**
+     * @param {object} [opt] Options.
+     * @param {string} [opt.tracebackFormat] Format of the `traceback` field of
+     * traceback messages, see {@link Logger}.
+     */
+    constructor({tracebackFormat=JAVASCRIPT_FORMAT}={}) {
+        _checkTracebackFormat(tracebackFormat)
+        /**
+         * Format of the `traceback` field of traceback messages.
+         * @type {string}
+         */
+        this.tracebackFormat = tracebackFormat
         this.reset()
     }
 
@@ -226,15 +1045,25 @@ export class MemoryLogger {
     /**
      * Serialize all written messages.
      *
+     * Written messages, in `messages`, retain their raw values.
+     *
+     * @param {object} [opt] Options.
+     * @param {boolean} [opt.redact=true] Redact sensitive fields, as they would
+     * be when written to destinations?
      * @return {MessageDictionary[]} Serialized messages.
      */
-    serialize() {
+    serialize({redact=true}={}) {
         const n = Math.min(this.messages.length, this.serializers.length),
               result = []
         for (let i = 0; i < n; ++i) {
             const dict = Object.assign({}, this.messages[i]),
                   serializer = this.serializers[i]
-            serializer.serialize(dict)
+            if (serializer !== null) {
+                serializer.serialize(dict, redact)
+            }
+            if (redact) {
+                _redactUndeclared(dict, serializer)
+            }
             result.push(dict)
         }
         return result
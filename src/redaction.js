@@ -0,0 +1,158 @@
+import {encodeJSON} from './json'
+import {_globPattern} from './routing'
+
+
+/**
+ * Result of a redaction strategy that removes the field from the message.
+ */
+export const DROPPED = Symbol('eliot.redaction.dropped')
+
+
+/**
+ * Function that replaces a sensitive value with a redacted one, or returns
+ * {@link DROPPED} to remove the field entirely.
+ *
+ * @typedef {function(value: *): *} RedactionStrategy
+ */
+
+
+/**
+ * Convert a value to a string for redaction.
+ *
+ * @param {*} value Value.
+ * @return {string} String form of the value.
+ */
+function _stringify(value) {
+    return typeof value === 'string' ? value : encodeJSON(value)
+}
+
+
+/**
+ * Redaction strategy that removes the field from the message.
+ *
+ * @return {RedactionStrategy} Redaction strategy.
+ */
+export function drop() {
+    return value => DROPPED
+}
+
+
+/**
+ * Redaction strategy that masks all but the last few characters of a value.
+ *
+ * At most half of the value is left visible.
+ *
+ * @example
+ * mask({keep: 4})('4111111111111111') // => '************1111'
+ *
+ * @param {object} [opt] Options.
+ * @param {number} [opt.keep=0] Number of trailing characters to leave visible.
+ * @param {string} [opt.character='*'] Character to mask with.
+ * @return {RedactionStrategy} Redaction strategy.
+ */
+export function mask({keep=0, character='*'}={}) {
+    return value => {
+        const s = _stringify(value),
+              visible = Math.min(keep, Math.floor(s.length / 2))
+        return (character.repeat(s.length - visible) +
+                s.slice(s.length - visible))
+    }
+}
+
+
+/**
+ * Redaction strategy that replaces a value with its keyed HMAC digest, so that
+ * equal values can still be correlated without being revealed.
+ *
+ * This is only supported in Node.
+ *
+ * @param {string|Buffer} key Secret HMAC key.
+ * @param {object} [opt] Options.
+ * @param {string} [opt.algorithm='sha256'] Digest algorithm.
+ * @return {RedactionStrategy} Redaction strategy.
+ */
+export function hmac(key, {algorithm='sha256'}={}) {
+    const {createHmac} = require('crypto')
+    return value => createHmac(algorithm, key)
+        .update(_stringify(value))
+        .digest('hex')
+}
+
+
+/**
+ * Apply a redaction strategy to a field of a message, in-place.
+ *
+ * @param {MessageDictionary} message Message dictionary.
+ * @param {string} key Field name.
+ * @param {RedactionStrategy} strategy Redaction strategy.
+ */
+export function _redactField(message, key, strategy) {
+    const value = strategy(message[key])
+    if (value === DROPPED) {
+        delete message[key]
+    } else {
+        message[key] = value
+    }
+}
+
+
+/**
+ * Global redaction rules, as pairs of key pattern and strategy, or `null` if
+ * there are none.
+ * @type {?Array}
+ */
+export let _policy = null
+
+
+/**
+ * Redact fields of a message that are not declared by its serializer, in-place,
+ * according to the global redaction policy.
+ *
+ * @param {MessageDictionary} message Message dictionary.
+ * @param {?_MessageSerializer} serializer Message serializer, whose fields are
+ * redacted according to their own declarations.
+ */
+export function _redactUndeclared(message, serializer) {
+    if (_policy === null) {
+        return
+    }
+    for (const key of Object.keys(message)) {
+        if (serializer !== null && serializer.fields.has(key)) {
+            continue
+        }
+        for (const [regexp, strategy] of _policy) {
+            if (regexp.test(key)) {
+                _redactField(message, key, strategy)
+                break
+            }
+        }
+    }
+}
+
+
+/**
+ * Redact fields of messages that are not declared by a message type, such as
+ * those logged with {@link Message.log}, by key name.
+ *
+ * Fields declared by a message type are only redacted if they are declared as
+ * sensitive, see {@link Field#sensitive}.
+ *
+ * @example
+ * const {drop, mask} = redaction
+ * configureRedaction({'*password*': drop(), email: mask({keep: 4})})
+ *
+ * @param {object<string,RedactionStrategy>} rules Redaction strategies mapped
+ * by case-insensitive glob patterns of field names, the first matching pattern
+ * applies.
+ * @return {function} Function that removes the policy.
+ */
+export function configureRedaction(rules) {
+    const policy = Object.keys(rules).map(
+        pattern => [_globPattern(pattern, true), rules[pattern]])
+    _policy = policy
+    return () => {
+        if (_policy === policy) {
+            _policy = null
+        }
+    }
+}
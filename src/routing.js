@@ -0,0 +1,170 @@
+import {ACTION_STATUS_FIELD, ACTION_TYPE_FIELD} from './action'
+import {MESSAGE_TYPE_FIELD, TASK_UUID_FIELD} from './message'
+
+
+/**
+ * Criteria for selecting messages, every given criterion must be satisfied.
+ *
+ * Since a message has either a `message_type` or an `action_type`, when both
+ * `messageType` and `actionType` are given a message need only satisfy the one
+ * for its kind.
+ *
+ * @typedef {object} MessageFilter
+ * @property {string|RegExp|Array<string|RegExp>} [messageType] Glob pattern,
+ * where `*` matches any sequence of characters and `?` any single character, or
+ * patterns of acceptable message types.
+ * @property {string|RegExp|Array<string|RegExp>} [actionType] Glob pattern, or
+ * patterns, of acceptable action types.
+ * @property {string|string[]} [actionStatus] Acceptable action statuses.
+ * @property {string|string[]} [taskUuid] Acceptable task UUIDs.
+ * @property {function(message: MessageDictionary): boolean} [predicate]
+ * Arbitrary predicate.
+ */
+
+
+/**
+ * Convert a glob pattern to a regular expression.
+ *
+ * @param {string|RegExp} pattern Glob pattern, or a regular expression which
+ * is used as is.
+ * @param {boolean} [ignoreCase=false] Match glob patterns case-insensitively?
+ * @return {RegExp} Regular expression matching the whole of a value.
+ */
+export function _globPattern(pattern, ignoreCase=false) {
+    if (pattern instanceof RegExp) {
+        return pattern
+    }
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '')
+}
+
+
+/**
+ * Create a predicate matching a field against glob patterns.
+ *
+ * @param {string} key Field name.
+ * @param {string|RegExp|Array<string|RegExp>} patterns Patterns.
+ * @return {function(message: MessageDictionary): boolean} Predicate.
+ */
+function _matchPatterns(key, patterns) {
+    const regexps = [].concat(patterns).map(p => _globPattern(p))
+    return message => {
+        const value = message[key]
+        return (typeof value === 'string' &&
+                regexps.some(regexp => regexp.test(value)))
+    }
+}
+
+
+/**
+ * Create a predicate matching a field against acceptable values.
+ *
+ * @param {string} key Field name.
+ * @param {*|Array<*>} values Acceptable values.
+ * @return {function(message: MessageDictionary): boolean} Predicate.
+ */
+function _matchValues(key, values) {
+    const acceptable = new Set([].concat(values))
+    return message => acceptable.has(message[key])
+}
+
+
+/**
+ * Compile a message filter into a single predicate.
+ *
+ * @param {?(MessageFilter|function)} filter Filter criteria, a predicate which
+ * is used as is, or `null` to accept all messages.
+ * @return {?function(message: MessageDictionary): boolean} Predicate, or `null`
+ * if all messages are accepted.
+ */
+export function _compileFilter(filter) {
+    if (filter === null || filter === undefined) {
+        return null
+    } else if (typeof filter === 'function') {
+        return filter
+    }
+    const {messageType, actionType, actionStatus, taskUuid, predicate} = filter,
+          predicates = []
+    if (messageType !== undefined && actionType !== undefined) {
+        const isMessageType = _matchPatterns(MESSAGE_TYPE_FIELD, messageType),
+              isActionType = _matchPatterns(ACTION_TYPE_FIELD, actionType)
+        predicates.push(m => isMessageType(m) || isActionType(m))
+    } else if (messageType !== undefined) {
+        predicates.push(_matchPatterns(MESSAGE_TYPE_FIELD, messageType))
+    } else if (actionType !== undefined) {
+        predicates.push(_matchPatterns(ACTION_TYPE_FIELD, actionType))
+    }
+    if (actionStatus !== undefined) {
+        predicates.push(_matchValues(ACTION_STATUS_FIELD, actionStatus))
+    }
+    if (taskUuid !== undefined) {
+        predicates.push(_matchValues(TASK_UUID_FIELD, taskUuid))
+    }
+    if (predicate !== undefined) {
+        predicates.push(predicate)
+    }
+    return message => predicates.every(p => p(message))
+}
+
+
+/**
+ * A single entry of a routing table.
+ *
+ * @typedef {object} Route
+ * @property {?(MessageFilter|function)} filter Messages to route to
+ * `destination`, `null` matches all messages.
+ * @property {function|IDestination} destination Destination to route
+ * messages to.
+ */
+
+
+/**
+ * Create a destination that routes each message to the first route whose
+ * filter matches it.
+ *
+ * Messages matching no route are dropped, include a final route with a `null`
+ * filter to catch them.
+ *
+ * @example
+ * addDestination(routeMessages([
+ *   {filter: {actionType: 'audit:*'}, destination: auditDestination},
+ *   {filter: {messageType: 'debug:*'}, destination: debugDestination},
+ *   {filter: null, destination: toConsole()}]))
+ *
+ * @param {Route[]} routes Routing table, in order of precedence.
+ * @return {IDestination} Destination, suitable for use with {@link
+ * addDestination}. Flushing or closing it flushes or closes every routed
+ * destination.
+ */
+export function routeMessages(routes) {
+    const compiled = routes.map(({filter, destination}) => ({
+              matches: _compileFilter(filter),
+              destination})),
+          destinations = Array.from(new Set(compiled.map(r => r.destination))),
+          forEach = method => Promise.all(destinations
+              .filter(d => typeof d[method] === 'function')
+              .map(d => new Promise(resolve => resolve(d[method]()))))
+    return {
+        write(message) {
+            for (const {matches, destination} of compiled) {
+                if (matches === null || matches(message)) {
+                    return (typeof destination === 'function'
+                            ? destination(message)
+                            : destination.write(message))
+                }
+            }
+            return undefined
+        },
+
+        flush() {
+            return forEach('flush')
+        },
+
+        close() {
+            return forEach('close')
+        }
+    }
+}
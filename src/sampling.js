@@ -0,0 +1,197 @@
+import {ACTION_STATUS_FIELD, ACTION_TYPE_FIELD, FAILED_STATUS} from './action'
+import {_globPattern} from './routing'
+
+
+/**
+ * Sampling decision shared by all actions of a task.
+ *
+ * Messages of a task that is not kept are dropped, unless failed tasks are
+ * always kept; in that case the messages are buffered until the task's root
+ * action finishes and are written only if an action of the task failed.
+ */
+export class _TaskSample {
+    /**
+     * @param {Action} root Root action of the task, within this process.
+     * @param {boolean} keep Keep the messages of the task?
+     * @param {object} [opt] Options.
+     * @param {boolean} [opt.keepFailed=false] Buffer the messages of a task
+     * that is not kept, writing them if an action of the task fails?
+     * @param {number} [opt.maxBuffered=1000] Maximum number of messages to
+     * buffer, beyond which the buffered messages are dropped along with the
+     * rest of the task.
+     */
+    constructor(root, keep, {keepFailed=false, maxBuffered=1000}={}) {
+        this._root = root
+        /**
+         * Keep the messages of the task?
+         * @type {boolean}
+         */
+        this.keep = keep
+        /**
+         * Buffered logger, message dictionary and serializer triples, or
+         * `null` if messages are not being buffered.
+         * @type {?Array}
+         */
+        this._pending = !keep && keepFailed ? [] : null
+        this._maxBuffered = maxBuffered
+        this._failed = false
+    }
+
+    /**
+     * Write, buffer or drop a message of the task.
+     *
+     * @param {ILogger} logger Logger to write to.
+     * @param {MessageDictionary} dict Message dictionary.
+     * @param {?_MessageSerializer} serializer Message serializer.
+     */
+    _write(logger, dict, serializer) {
+        if (this._pending !== null) {
+            this._failed = (this._failed ||
+                            dict[ACTION_STATUS_FIELD] === FAILED_STATUS)
+            this._pending.push([logger, dict, serializer])
+            if (this._pending.length > this._maxBuffered) {
+                this._pending = null
+            }
+        } else if (this.keep) {
+            logger.write(dict, serializer)
+        }
+    }
+
+    /**
+     * Decide the fate of buffered messages once the root action finishes.
+     *
+     * @param {Action} action Action that finished.
+     */
+    _finished(action) {
+        if (action !== this._root || this._pending === null) {
+            return
+        }
+        const pending = this._pending
+        this._pending = null
+        if (this._failed) {
+            this.keep = true
+            for (const [logger, dict, serializer] of pending) {
+                logger.write(dict, serializer)
+            }
+        }
+    }
+}
+
+
+/**
+ * Decide which tasks to keep.
+ *
+ * The decision is made once per task, when its root action is started, and
+ * applies to every message of the task.
+ */
+export class TaskSampler {
+    /**
+     * @param {object} [opt] Options.
+     * @param {number} [opt.rate=1] Probability, between 0 and 1, of keeping a
+     * task.
+     * @param {object<string,number>} [opt.actionTypes] Probability of keeping a
+     * task, mapped by glob patterns of the action type of its root action.
+     * The first matching pattern takes precedence over `rate`.
+     * @param {boolean} [opt.keepFailed=false] Always keep tasks in which an
+     * action failed? Messages of tasks that would otherwise be dropped are
+     * buffered until the task's root action finishes.
+     * @param {number} [opt.maxBuffered=1000] Maximum number of messages to
+     * buffer for a single task, beyond which the task is dropped.
+     * @param {function(): number} [opt.random] Random number generator.
+     */
+    constructor({rate=1,
+                 actionTypes={},
+                 keepFailed=false,
+                 maxBuffered=1000,
+                 random=Math.random}={}) {
+        this.rate = rate
+        this._actionTypes = Object.keys(actionTypes).map(
+            pattern => [_globPattern(pattern), actionTypes[pattern]])
+        this.keepFailed = keepFailed
+        this.maxBuffered = maxBuffered
+        this._random = random
+    }
+
+    /**
+     * Probability of keeping a task.
+     *
+     * @param {string} actionType Action type of the task's root action.
+     * @return {number} Probability between 0 and 1.
+     */
+    _rateFor(actionType) {
+        for (const [regexp, rate] of this._actionTypes) {
+            if (regexp.test(actionType)) {
+                return rate
+            }
+        }
+        return this.rate
+    }
+
+    /**
+     * Make the sampling decision for a task.
+     *
+     * @param {Action} root Root action of the task.
+     * @param {?boolean} [keep] Decision already made for the task, by another
+     * process, or `null` to decide now.
+     * @return {_TaskSample} Sampling decision.
+     */
+    _sample(root, keep=null) {
+        if (keep === null) {
+            const actionType = root._identification[ACTION_TYPE_FIELD]
+            keep = this._random() < this._rateFor(actionType)
+        }
+        return new _TaskSample(root, keep, {keepFailed: this.keepFailed,
+                                            maxBuffered: this.maxBuffered})
+    }
+}
+
+
+/**
+ * Global `TaskSampler`, or `null` if tasks are not sampled.
+ * @type {?TaskSampler}
+ */
+export let _sampler = null
+
+
+/**
+ * Make the sampling decision for a task.
+ *
+ * @param {Action} root Root action of the task.
+ * @param {?boolean} [keep] Decision already made for the task, by another
+ * process, or `null` to decide now.
+ * @return {?_TaskSample} Sampling decision, or `null` if tasks are not sampled.
+ */
+export function _sampleTask(root, keep=null) {
+    if (_sampler !== null) {
+        return _sampler._sample(root, keep)
+    }
+    return keep === null ? null : new _TaskSample(root, keep)
+}
+
+
+/**
+ * Keep only a sample of tasks.
+ *
+ * All messages of a task are kept or dropped together. Messages written outside
+ * of any action are always kept. Send the decision, see {@link
+ * Action#samplingDecision}, along with the serialized task identifier so that
+ * continuations of a task agree with it.
+ *
+ * @example
+ * const stopSampling = configureSampling({
+ *   rate: 0.01,
+ *   actionTypes: {'app:checkout:*': 1},
+ *   keepFailed: true})
+ *
+ * @param {object} [opt] Options, see {@link TaskSampler}.
+ * @return {function} Function that stops sampling.
+ */
+export function configureSampling(opt={}) {
+    const sampler = new TaskSampler(opt)
+    _sampler = sampler
+    return () => {
+        if (_sampler === sampler) {
+            _sampler = null
+        }
+    }
+}
@@ -0,0 +1,92 @@
+import {_destinations} from './output'
+import {_globalTarget} from './uncaught'
+
+
+/**
+ * Wait for a promise to settle, but no longer than `timeout` seconds.
+ *
+ * @param {Promise} promise Promise to wait for.
+ * @param {?number} timeout Seconds to wait, or `null` to wait indefinitely.
+ * @param {boolean} [keepAlive=false] Keep the process alive until the timeout
+ * elapses, if `promise` has not settled by then?
+ * @return {Promise} Promise that resolves when `promise` settles or the timeout
+ * elapses, whichever comes first.
+ */
+export function _settleWithin(promise, timeout, keepAlive=false) {
+    const settled = promise.then(() => null, () => null)
+    if (timeout === null) {
+        return settled
+    }
+    let timer
+    return Promise.race([settled, new Promise(resolve => {
+        timer = setTimeout(resolve, timeout * 1000)
+        if (!keepAlive && typeof timer.unref === 'function') {
+            timer.unref()
+        }
+    })]).then(() => clearTimeout(timer))
+}
+
+
+/**
+ * Flush and close destinations when the process exits or the page is hidden.
+ *
+ * In Node destinations are closed when the event loop empties, on the
+ * `beforeExit` process event, and when one of `signals` is received, after
+ * which the signal is raised again so that the process terminates as it
+ * otherwise would. Explicit calls to `process.exit` cannot be waited for. In
+ * browsers destinations are flushed, on a best effort basis, on the `pagehide`
+ * window event.
+ *
+ * @example
+ * const uninstall = installShutdownHandler({timeout: 10})
+ *
+ * @param {object} [opt] Options.
+ * @param {Destinations} [opt.destinations] Destinations to close, defaults to
+ * the global destinations.
+ * @param {?number} [opt.timeout=5] Seconds to wait for destinations to close,
+ * or `null` to wait indefinitely.
+ * @param {string[]} [opt.signals] Signals to close destinations on, defaults to
+ * `SIGINT` and `SIGTERM`.
+ * @param {?object} [opt.target] Event target to install the handlers on,
+ * defaults to `window` or `process`.
+ * @return {function} Function that uninstalls the handlers.
+ */
+export function installShutdownHandler({destinations=_destinations,
+                                        timeout=5,
+                                        signals=['SIGINT', 'SIGTERM'],
+                                        target=_globalTarget()}={}) {
+    if (target === null) {
+        return () => null
+    }
+    if (typeof target.addEventListener === 'function') {
+        const onHide = () => { destinations.flush().catch(() => null) }
+        target.addEventListener('pagehide', onHide)
+        return () => target.removeEventListener('pagehide', onHide)
+    }
+    let closing = null
+    const close = () => {
+              if (closing === null) {
+                  closing = destinations.close()
+              }
+              return closing
+          },
+          onExit = () => _settleWithin(close(), timeout),
+          // The timeout must keep the process alive, otherwise a close that
+          // never settles lets the process exit without raising the signal.
+          onSignal = signal => _settleWithin(close(), timeout, true)
+              .then(() => {
+                  uninstall()
+                  target.kill(target.pid, signal)
+              }),
+          uninstall = () => {
+              target.removeListener('beforeExit', onExit)
+              for (const signal of signals) {
+                  target.removeListener(signal, onSignal)
+              }
+          }
+    target.on('beforeExit', onExit)
+    for (const signal of signals) {
+        target.on(signal, onSignal)
+    }
+    return uninstall
+}
@@ -0,0 +1,215 @@
+const SOURCE_MAPPING_URL = /\/\/[#@]\s*sourceMappingURL=([^\s'"]+)\s*$/m,
+      DATA_URL = /^data:application\/json[^,]*?(;base64)?,(.*)$/
+
+
+/**
+ * Decode a base64 string.
+ *
+ * @param {string} s Base64-encoded string.
+ * @return {string} Decoded string.
+ */
+function _decodeBase64(s) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(s, 'base64').toString('utf8')
+    }
+    return atob(s)
+}
+
+
+/**
+ * Read the source map for a generated file from the local file system.
+ *
+ * The map may be inline, as a `data:` URL, in the `sourceMappingURL` comment of
+ * the file, referenced by that comment or adjacent to the file with a `.map`
+ * extension. This is only supported in Node.
+ *
+ * @param {string} fileName Generated file name, as it appears in a stack
+ * frame.
+ * @return {?object} Object with `map`, the raw source map, and `url`, the
+ * location the source map was loaded from; or `null` if there is no source
+ * map.
+ */
+export function _readSourceMap(fileName) {
+    let fs, path
+    try {
+        fs = require('fs')
+        path = require('path')
+    } catch (e) {
+        return null
+    }
+    const filePath = fileName.replace(/^file:\/\//, '')
+    let source, mapPath
+    try {
+        source = fs.readFileSync(filePath, 'utf8')
+    } catch (e) {
+        return null
+    }
+    const match = SOURCE_MAPPING_URL.exec(source)
+    if (match !== null) {
+        const data = DATA_URL.exec(match[1])
+        if (data !== null) {
+            const json = (data[1] === undefined
+                          ? decodeURIComponent(data[2])
+                          : _decodeBase64(data[2]))
+            return {map: JSON.parse(json), url: filePath}
+        }
+        mapPath = path.resolve(path.dirname(filePath), match[1])
+    } else {
+        mapPath = `${filePath}.map`
+    }
+    try {
+        return {map: JSON.parse(fs.readFileSync(mapPath, 'utf8')),
+                url: mapPath}
+    } catch (e) {
+        return null
+    }
+}
+
+
+/**
+ * Resolve stack frames of generated code to their original source locations.
+ *
+ * Parsed source maps are cached per generated file, including the absence of a
+ * source map. This requires the optional `source-map` package, which is only
+ * loaded once a resolver is created.
+ */
+export class SourceMapResolver {
+    /**
+     * @param {object} [opt] Options.
+     * @param {function(fileName: string): ?object} [opt.retrieveSourceMap]
+     * Function returning an object with `map`, the raw source map as an object
+     * or JSON string, and optionally `url`, the location of the source map, for
+     * a generated file; or `null` if there is no source map.
+     * @throws {Error} If the `source-map` package is not installed.
+     */
+    constructor({retrieveSourceMap=_readSourceMap}={}) {
+        try {
+            this._SourceMapConsumer = require('source-map').SourceMapConsumer
+        } catch (e) {
+            throw new Error(
+                'Resolving source maps requires the source-map package')
+        }
+        this._retrieveSourceMap = retrieveSourceMap
+        /**
+         * Source map consumers, or `null`, mapped by generated file name.
+         * @type {Map<string,?object>}
+         */
+        this._cache = new Map()
+    }
+
+    /**
+     * Get the source map for a generated file.
+     *
+     * @param {string} fileName Generated file name.
+     * @return {?object} Object with `consumer`, the `SourceMapConsumer`, and
+     * `url`, or `null` if there is no usable source map.
+     */
+    _sourceMapFor(fileName) {
+        if (this._cache.has(fileName)) {
+            return this._cache.get(fileName)
+        }
+        let result = null
+        try {
+            const retrieved = this._retrieveSourceMap(fileName)
+            if (retrieved !== null && retrieved !== undefined) {
+                result = {consumer: new this._SourceMapConsumer(retrieved.map),
+                          url: retrieved.url || fileName}
+            }
+        } catch (e) {
+            result = null
+        }
+        this._cache.set(fileName, result)
+        return result
+    }
+
+    /**
+     * Resolve a single stack frame.
+     *
+     * @param {StackFrame} frame Stack frame.
+     * @return {StackFrame} Stack frame for the original source location, or
+     * `frame` if it could not be resolved.
+     */
+    resolveFrame(frame) {
+        if (!frame.fileName || !frame.lineNumber) {
+            return frame
+        }
+        const sourceMap = this._sourceMapFor(frame.fileName)
+        if (sourceMap === null) {
+            return frame
+        }
+        const position = sourceMap.consumer.originalPositionFor({
+            line: frame.lineNumber,
+            column: (frame.columnNumber || 1) - 1})
+        if (position.source === null) {
+            return frame
+        }
+        return Object.assign(
+            Object.create(Object.getPrototypeOf(frame)),
+            frame,
+            {functionName: position.name || frame.functionName,
+             fileName: _resolveSource(sourceMap.url, position.source),
+             lineNumber: position.line,
+             columnNumber: position.column + 1})
+    }
+
+    /**
+     * Resolve stack frames.
+     *
+     * @param {StackFrame[]} frames Stack frames.
+     * @return {StackFrame[]} Resolved stack frames.
+     */
+    resolveFrames(frames) {
+        return frames.map(f => this.resolveFrame(f))
+    }
+}
+
+
+/**
+ * Resolve an original source file name relative to its source map.
+ *
+ * @param {string} mapUrl Location of the source map.
+ * @param {string} source Source file name from the source map.
+ * @return {string} Resolved source file name.
+ */
+function _resolveSource(mapUrl, source) {
+    if (/^(\/|[a-z][\w+.-]*:)/i.test(source)) {
+        return source
+    } else if (!/^[a-z][\w+.-]*:/i.test(mapUrl)) {
+        try {
+            const path = require('path')
+            return path.resolve(path.dirname(mapUrl), source)
+        } catch (e) {
+            // Not running in Node, fall through.
+        }
+    }
+    return mapUrl.replace(/[^/]*$/, '') + source
+}
+
+
+/**
+ * Global `SourceMapResolver`, or `null` if source maps are not used.
+ * @type {?SourceMapResolver}
+ */
+export let _resolver = null
+
+
+/**
+ * Resolve the frames of logged tracebacks through source maps.
+ *
+ * This requires the optional `source-map` package to be installed.
+ *
+ * @example
+ * const disable = enableSourceMaps()
+ *
+ * @param {object} [opt] Options, see {@link SourceMapResolver}.
+ * @return {function} Function that stops using source maps.
+ */
+export function enableSourceMaps(opt={}) {
+    const resolver = new SourceMapResolver(opt)
+    _resolver = resolver
+    return () => {
+        if (_resolver === resolver) {
+            _resolver = null
+        }
+    }
+}
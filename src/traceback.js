@@ -1,11 +1,18 @@
-import ErrorStackParser from 'error-stack-parser'
+import {_causeFields,
+        _errorExtraction,
+        _errorName,
+        _parseFrames} from './errors'
 import {BoundField, MessageType} from './validation'
-import {EXCEPTION_FIELD, REASON_FIELD, TRACEBACK_FIELD} from './message'
+import {currentAction} from './context'
+import {_messageLogger,
+        EXCEPTION_FIELD,
+        REASON_FIELD,
+        TRACEBACK_FIELD} from './message'
 
 
 export const TRACEBACK_MESSAGE = MessageType(
     'eliot_js:traceback',
-    [BoundField.create(REASON_FIELD, e => e.toString(), 'The exception value.'),
+    [BoundField.create(REASON_FIELD, e => String(e), 'The exception value.'),
      BoundField.create(TRACEBACK_FIELD, x => x, 'The traceback.'),
      BoundField.create(EXCEPTION_FIELD, x => x, 'The exception type name.')],
     'An unexpected exception indicating a bug.')
@@ -14,25 +21,151 @@ export const TRACEBACK_MESSAGE = MessageType(
 TRACEBACK_MESSAGE._serializer.allowAdditionalFields = true
 
 
-function writeTracebackMessage(logger, error) {
+/** Traceback as newline-separated JavaScript stack frames. */
+export const JAVASCRIPT_FORMAT = 'javascript'
+/** Traceback in the text format used by Python. */
+export const PYTHON_FORMAT = 'python'
+/** Traceback as an array of frame objects. */
+export const STRUCTURED_FORMAT = 'structured'
+
+
+/**
+ * Convert a stack frame to a plain object.
+ *
+ * @param {StackFrame} frame Stack frame.
+ * @return {object} Frame object with `file`, `line`, `column` and `function`
+ * keys, any of which may be `null` if unknown.
+ */
+function _frameObject(frame) {
+    const orNull = x => x === undefined ? null : x
+    return {file: orNull(frame.fileName),
+            line: orNull(frame.lineNumber),
+            column: orNull(frame.columnNumber),
+            function: orNull(frame.functionName)}
+}
+
+
+/**
+ * Structured stack frames of an error, most recent call first.
+ *
+ * @param {Error} error Error.
+ * @return {object[]} Frame objects with `file`, `line`, `column` and `function`
+ * keys.
+ */
+export function tracebackFrames(error) {
+    return _parseFrames(error).map(_frameObject)
+}
+
+
+/**
+ * Format an error's traceback like Python does.
+ *
+ * This allows tooling that handles both Python and JavaScript logs to display
+ * tracebacks uniformly.
+ *
+ * @example
+ * // Traceback (most recent call last):
+ * //   File "/app/index.js", line 10, in main
+ * //   File "/app/thing.js", line 3, in doThing
+ * // Error: Nope
+ *
+ * @param {Error} error Error.
+ * @return {string} Formatted traceback.
+ */
+export function formatPythonTraceback(error) {
+    const lines = ['Traceback (most recent call last):']
+    for (const frame of tracebackFrames(error).reverse()) {
+        const file = frame.file === null ? '<unknown>' : frame.file,
+              line = frame.line === null ? '?' : frame.line,
+              fn = frame.function === null ? '<anonymous>' : frame.function
+        lines.push(`  File "${file}", line ${line}, in ${fn}`)
+    }
+    lines.push(String(error))
+    return lines.join('\n')
+}
+
+
+/**
+ * Check that a traceback format is known.
+ *
+ * @param {string} format Traceback format.
+ * @throws {Error} If the format is not one of `JAVASCRIPT_FORMAT`,
+ * `PYTHON_FORMAT` or `STRUCTURED_FORMAT`.
+ */
+export function _checkTracebackFormat(format) {
+    if (format !== JAVASCRIPT_FORMAT &&
+        format !== PYTHON_FORMAT &&
+        format !== STRUCTURED_FORMAT) {
+        throw new Error(`Unknown traceback format: ${format}`)
+    }
+}
+
+
+/**
+ * Format an error's traceback.
+ *
+ * @param {Error} error Error.
+ * @param {string} format One of `JAVASCRIPT_FORMAT`, `PYTHON_FORMAT` or
+ * `STRUCTURED_FORMAT`.
+ * @return {string|object[]} Formatted traceback.
+ */
+export function _formatTraceback(error, format) {
+    switch (format) {
+        case PYTHON_FORMAT:
+            return formatPythonTraceback(error)
+        case STRUCTURED_FORMAT:
+            return tracebackFrames(error)
+        case JAVASCRIPT_FORMAT:
+            return _parseFrames(error).map(f => f.toString()).join('\n')
+        default:
+            throw new Error(`Unknown traceback format: ${format}`)
+    }
+}
+
+
+/**
+ * Traceback format configured for the logger a traceback is written to.
+ *
+ * @param {?ILogger} logger Logger, or `null` for the logger of the action.
+ * @param {?Action} action Action which is the context of the traceback, or
+ * `null` for the current action.
+ * @return {string} Traceback format.
+ */
+function _loggerTracebackFormat(logger, action) {
+    logger = _messageLogger(logger,
+                            action === null ? currentAction() : action)
+    return (logger.tracebackFormat === undefined
+            ? JAVASCRIPT_FORMAT
+            : logger.tracebackFormat)
+}
+
+
+function writeTracebackMessage(logger, error, action) {
+    const format = _loggerTracebackFormat(logger, action),
+          formatTraceback = e => _formatTraceback(e, format)
     let msg = TRACEBACK_MESSAGE({
         reason: error,
-        traceback: ErrorStackParser.parse(error).map(
-            f => f.toString()).join('\n'),
-        exception: error.name})
-    // XXX: Registering custom exception info extractor is not supported yet.
-    //msg = msg.bind(XXX)
-    msg.write(logger)
+        traceback: formatTraceback(error),
+        exception: _errorName(error)})
+    msg = msg.bind(_causeFields(error, formatTraceback))
+    msg = msg.bind(_errorExtraction.getFieldsForError(logger, error))
+    msg.write(logger, action)
 }
 
 
 /**
  * Write a traceback to the log.
  *
+ * The format of the `traceback` field, and of the tracebacks of any causes or
+ * aggregated errors, is determined by the logger's `tracebackFormat`, see
+ * {@link Logger}.
+ *
  * @param {Error} error Error whose traceback will be loged.
  * @param {?ILogger} [logger] Optional logger to write to, if not provided the
- * default logger will be used.
+ * logger of the action will be used, or the default logger if there is none.
+ * @param {?Action} [action] Optional action which is the context of the
+ * traceback, if not provided the current action will be used.
  */
-export function writeTraceback(error, logger=null) {
-    writeTracebackMessage(logger, error)
+export function writeTraceback(error, logger=null, action=null) {
+    writeTracebackMessage(logger, error, action)
 }
@@ -0,0 +1,226 @@
+import {ACTION_TYPE_FIELD} from './action'
+import {Message,
+        MESSAGE_TYPE_FIELD,
+        REASON_FIELD,
+        TASK_LEVEL_FIELD,
+        TASK_UUID_FIELD} from './message'
+
+
+export const LEAKED_MESSAGE_TYPE = 'eliot_js:action_leaked'
+
+
+/**
+ * Details of an action that has been started but not yet finished.
+ *
+ * @typedef {object} OpenAction
+ * @property {string} task_uuid UUID of the action's task.
+ * @property {number[]} task_level Task level of the action.
+ * @property {string} action_type Type of the action.
+ * @property {number} started Timestamp, in seconds, of when the action was
+ * started.
+ */
+
+
+/**
+ * Registry of actions that have been started but not yet finished.
+ *
+ * An action that is still open after `timeout` seconds, or when the process
+ * exits, is reported with an `eliot_js:action_leaked` message logged within
+ * that action. Each action is reported at most once.
+ */
+export class ActionTracker {
+    /**
+     * @param {object} [opt] Options.
+     * @param {?number} [opt.timeout] Seconds after which an unfinished action
+     * is reported as leaked, or `null` to only report at exit.
+     * @param {?Logger} [opt.logger] Logger to report leaks to, or `null` to use
+     * the logger of the leaked action.
+     */
+    constructor({timeout=null, logger=null}={}) {
+        this.timeout = timeout
+        this._logger = logger
+        /**
+         * Open actions, mapped to their details and timeout timer.
+         * @type {Map<Action,object>}
+         */
+        this._open = new Map()
+    }
+
+    /**
+     * Register a started action.
+     *
+     * @param {Action} action Action that was started.
+     */
+    _started(action) {
+        const entry = {started: Message._time(), timer: null, reported: false}
+        if (this.timeout !== null) {
+            entry.timer = setTimeout(
+                () => this._report(action, 'timeout'), this.timeout * 1000)
+            if (typeof entry.timer.unref === 'function') {
+                entry.timer.unref()
+            }
+        }
+        this._open.set(action, entry)
+    }
+
+    /**
+     * Unregister a finished action.
+     *
+     * @param {Action} action Action that was finished.
+     */
+    _finished(action) {
+        const entry = this._open.get(action)
+        if (entry === undefined) {
+            return
+        }
+        if (entry.timer !== null) {
+            clearTimeout(entry.timer)
+        }
+        this._open.delete(action)
+    }
+
+    /**
+     * Log an `eliot_js:action_leaked` message for an open action, unless it
+     * has already been reported.
+     *
+     * @param {Action} action Open action.
+     * @param {string} reason Why the action is being reported.
+     */
+    _report(action, reason) {
+        const entry = this._open.get(action)
+        if (entry === undefined || entry.reported) {
+            return
+        }
+        entry.reported = true
+        const msg = new Message({
+            [MESSAGE_TYPE_FIELD]: LEAKED_MESSAGE_TYPE,
+            [REASON_FIELD]: reason,
+            leaked_action_type: action._identification[ACTION_TYPE_FIELD],
+            started: entry.started,
+            age: Message._time() - entry.started})
+        msg.write(
+            this._logger === null ? action._logger : this._logger, action)
+    }
+
+    /**
+     * Details of all open actions, oldest first.
+     *
+     * @return {OpenAction[]} Open actions.
+     */
+    openActions() {
+        return Array.from(this._open.entries()).map(([action, entry]) => ({
+            [TASK_UUID_FIELD]: action._identification[TASK_UUID_FIELD],
+            [TASK_LEVEL_FIELD]: action._taskLevel.level,
+            [ACTION_TYPE_FIELD]: action._identification[ACTION_TYPE_FIELD],
+            started: entry.started}))
+    }
+
+    /**
+     * Open actions belonging to a task, innermost first.
+     *
+     * @param {string} taskUuid Task UUID.
+     * @return {Action[]} Open actions.
+     */
+    _actionsOfTask(taskUuid) {
+        return Array.from(this._open.keys())
+            .filter(a => a._identification[TASK_UUID_FIELD] === taskUuid)
+            .sort((a, b) => b._taskLevel.level.length -
+                  a._taskLevel.level.length)
+    }
+
+    /**
+     * Report all open actions as leaked.
+     *
+     * @param {string} [reason] Why the actions are being reported.
+     */
+    reportOpen(reason='exit') {
+        for (const action of Array.from(this._open.keys())) {
+            this._report(action, reason)
+        }
+    }
+
+    /**
+     * Stop tracking all actions, cancelling any pending timeouts.
+     */
+    clear() {
+        for (const action of Array.from(this._open.keys())) {
+            this._finished(action)
+        }
+    }
+}
+
+
+/**
+ * Global `ActionTracker`, or `null` if actions are not being tracked.
+ * @type {?ActionTracker}
+ */
+export let _tracker = null
+
+
+/**
+ * Install a hook that is called when the process exits or the page unloads.
+ *
+ * @param {function} f Function to call.
+ * @return {function} Function that removes the hook.
+ */
+function _onExit(f) {
+    if (typeof window !== 'undefined' &&
+        typeof window.addEventListener === 'function') {
+        window.addEventListener('beforeunload', f)
+        return () => window.removeEventListener('beforeunload', f)
+    } else if (typeof process !== 'undefined' &&
+               typeof process.on === 'function') {
+        process.on('exit', f)
+        return () => process.removeListener('exit', f)
+    }
+    return () => null
+}
+
+
+/**
+ * Start tracking actions that are started but never finished.
+ *
+ * Tracking is opt-in since it retains every open action.
+ *
+ * @example
+ * const stopTracking = trackActions({timeout: 60})
+ *
+ * @param {object} [opt] Options.
+ * @param {?number} [opt.timeout] Seconds after which an unfinished action is
+ * reported as leaked, or `null` to only report at exit.
+ * @param {?Logger} [opt.logger] Logger to report leaks to, or `null` to use the
+ * logger of the leaked action.
+ * @param {boolean} [opt.reportOnExit=true] Report all open actions when the
+ * process exits or the page unloads?
+ * @return {function} Function that stops tracking actions.
+ */
+export function trackActions({timeout=null,
+                              logger=null,
+                              reportOnExit=true}={}) {
+    if (_tracker !== null) {
+        throw new Error('Actions are already being tracked')
+    }
+    const tracker = new ActionTracker({timeout, logger}),
+          removeHook = (reportOnExit
+                        ? _onExit(() => tracker.reportOpen('exit'))
+                        : () => null)
+    _tracker = tracker
+    return () => {
+        removeHook()
+        tracker.clear()
+        if (_tracker === tracker) {
+            _tracker = null
+        }
+    }
+}
+
+
+/**
+ * Details of all actions that were started but not yet finished.
+ *
+ * @return {OpenAction[]} Open actions, or an empty array if actions are not
+ * being tracked; see {@link trackActions}.
+ */
+export function openActions() {
+    return _tracker === null ? [] : _tracker.openActions()
+}
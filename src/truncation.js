@@ -0,0 +1,217 @@
+import {_encoder, encodeJSON, MAX_DEPTH} from './json'
+import {Message, MESSAGE_TYPE_FIELD} from './message'
+
+
+export const TRUNCATION_MESSAGE_TYPE = 'eliot_js:truncation'
+
+
+/**
+ * Size of a string once encoded as UTF-8.
+ *
+ * @param {string} s String.
+ * @return {number} Size in bytes.
+ */
+export function _byteLength(s) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.byteLength(s, 'utf8')
+    } else if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(s).length
+    }
+    return s.length
+}
+
+
+/**
+ * Limit the size of messages before they are written to destinations.
+ *
+ * Oversized values are replaced with marked, truncated versions: long strings
+ * end with `'[N more characters]'`, long arrays end with `'[N more items]'` and
+ * values nested too deeply become `'[MaxDepth]'`. If a message is still too
+ * large its largest fields are replaced, one at a time, with `'[N bytes
+ * omitted]'`. Objects are converted to their JSON form, see {@link
+ * JSONEncoder}, before being truncated.
+ *
+ * The number of truncations is periodically reported in an
+ * `eliot_js:truncation` message.
+ */
+export class Truncator {
+    /**
+     * @param {object} [opt] Options.
+     * @param {number} [opt.maxSize=65536] Maximum size of a message, in bytes
+     * of JSON.
+     * @param {number} [opt.maxStringLength=8192] Maximum length of a string.
+     * @param {number} [opt.maxArrayLength=1000] Maximum number of elements of
+     * an array.
+     * @param {number} [opt.maxDepth=16] Maximum nesting depth of a field value.
+     * @param {number} [opt.reportInterval=60] Minimum number of seconds between
+     * reports of the number of truncations.
+     */
+    constructor({maxSize=65536,
+                 maxStringLength=8192,
+                 maxArrayLength=1000,
+                 maxDepth=16,
+                 reportInterval=60}={}) {
+        this.maxSize = maxSize
+        this.maxStringLength = maxStringLength
+        this.maxArrayLength = maxArrayLength
+        this.maxDepth = maxDepth
+        this.reportInterval = reportInterval
+        /**
+         * Number of values truncated since the last report.
+         * @type {number}
+         */
+        this._truncations = 0
+        /**
+         * Number of messages truncated since the last report.
+         * @type {number}
+         */
+        this._messages = 0
+        this._reportAt = -Infinity
+    }
+
+    /**
+     * Truncate the oversized values of a message.
+     *
+     * @param {MessageDictionary} dict Message dictionary, which is not mutated.
+     * @param {string[]} [preserve] Fields that are never truncated.
+     * @return {MessageDictionary} Truncated message dictionary, or `dict` if
+     * nothing was truncated.
+     */
+    truncate(dict, preserve=[]) {
+        const truncations = this._truncations,
+              result = {}
+        for (const key of Object.keys(dict)) {
+            result[key] = (preserve.indexOf(key) === -1
+                           ? this._truncateValue(dict[key], 0)
+                           : dict[key])
+        }
+        this._truncateSize(result, preserve)
+        if (this._truncations === truncations) {
+            return dict
+        }
+        this._messages++
+        return result
+    }
+
+    /**
+     * Truncate a value.
+     *
+     * @param {*} value Value to truncate.
+     * @param {number} depth Nesting depth of the value within its field.
+     * @return {*} Truncated value.
+     */
+    _truncateValue(value, depth) {
+        if (typeof value === 'string') {
+            if (value.length <= this.maxStringLength) {
+                return value
+            }
+            this._truncations++
+            const rest = value.length - this.maxStringLength
+            return (value.slice(0, this.maxStringLength) +
+                    `[${rest} more characters]`)
+        } else if (value === null || typeof value !== 'object') {
+            return value
+        }
+        value = _encoder.toJSON(value)
+        if (value === null || typeof value !== 'object') {
+            return this._truncateValue(value, depth)
+        } else if (depth >= this.maxDepth) {
+            this._truncations++
+            return MAX_DEPTH
+        } else if (Array.isArray(value)) {
+            const rest = value.length - this.maxArrayLength,
+                  result = value.slice(0, this.maxArrayLength).map(
+                      item => this._truncateValue(item, depth + 1))
+            if (rest > 0) {
+                this._truncations++
+                result.push(`[${rest} more items]`)
+            }
+            return result
+        }
+        const result = {}
+        for (const key of Object.keys(value)) {
+            result[key] = this._truncateValue(value[key], depth + 1)
+        }
+        return result
+    }
+
+    /**
+     * Replace the largest fields of a message, in-place, until it is no larger
+     * than the maximum size.
+     *
+     * @param {MessageDictionary} dict Message dictionary.
+     * @param {string[]} preserve Fields that are never replaced.
+     */
+    _truncateSize(dict, preserve) {
+        let size = _byteLength(encodeJSON(dict))
+        if (size <= this.maxSize) {
+            return
+        }
+        const fields = Object.keys(dict)
+            .filter(key => preserve.indexOf(key) === -1)
+            .map(key => [key, _byteLength(encodeJSON(dict[key]))])
+            .sort(([, a], [, b]) => b - a)
+        for (const [key, fieldSize] of fields) {
+            if (size <= this.maxSize) {
+                break
+            }
+            const marker = `[${fieldSize} bytes omitted]`
+            dict[key] = marker
+            size -= fieldSize - _byteLength(encodeJSON(marker))
+            this._truncations++
+        }
+    }
+
+    /**
+     * Report the number of truncations, if there are any and a report is due.
+     *
+     * @return {?MessageDictionary} `eliot_js:truncation` message dictionary,
+     * or `null` if no report is due.
+     */
+    _report() {
+        if (this._truncations === 0) {
+            return null
+        }
+        const now = Message._time()
+        if (now < this._reportAt) {
+            return null
+        }
+        this._reportAt = now + this.reportInterval
+        const msg = new Message({
+            [MESSAGE_TYPE_FIELD]: TRUNCATION_MESSAGE_TYPE,
+            truncations: this._truncations,
+            messages: this._messages})
+        this._truncations = 0
+        this._messages = 0
+        return msg._freeze()
+    }
+}
+
+
+/**
+ * Global `Truncator`, or `null` if messages are not truncated.
+ * @type {?Truncator}
+ */
+export let _truncator = null
+
+
+/**
+ * Limit the size of messages written by {@link Logger}, truncating oversized
+ * values before any destination sees them.
+ *
+ * @example
+ * const stopTruncating = configureTruncation({maxSize: 16384,
+ *                                             maxStringLength: 1024})
+ *
+ * @param {object} [opt] Options, see {@link Truncator}.
+ * @return {function} Function that stops truncating messages.
+ */
+export function configureTruncation(opt={}) {
+    const truncator = new Truncator(opt)
+    _truncator = truncator
+    return () => {
+        if (_truncator === truncator) {
+            _truncator = null
+        }
+    }
+}
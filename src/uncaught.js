@@ -0,0 +1,135 @@
+import {_actionForError, _failureReason} from './action'
+import {currentAction} from './context'
+import {TASK_UUID_FIELD} from './message'
+import {_destinations} from './output'
+import {_settleWithin} from './shutdown'
+import {writeTraceback} from './traceback'
+import * as _tracking from './tracking'
+
+
+/**
+ * Obtain the global event target, `window` in browsers or `process` in Node.
+ *
+ * @return {?object} Event target or `null` if there is none.
+ */
+export function _globalTarget() {
+    if (typeof window !== 'undefined' &&
+        typeof window.addEventListener === 'function') {
+        return window
+    } else if (typeof process !== 'undefined' &&
+               typeof process.on === 'function') {
+        return process
+    }
+    return null
+}
+
+
+/**
+ * Log an uncaught error.
+ *
+ * The traceback is written within the action that failed with `error`, or the
+ * action that was current when the handler was invoked.
+ *
+ * @param {*} error Uncaught error.
+ * @param {?ILogger} logger Logger to write to.
+ * @param {boolean} finishActions Finish the action as failed, along with other
+ * open actions of its task if actions are being tracked?
+ */
+export function _logUncaught(error, logger, finishActions) {
+    let action = _actionForError(error)
+    if (action === null) {
+        action = currentAction()
+    }
+    writeTraceback(
+        error,
+        logger === null && action !== null ? action._logger : logger,
+        action)
+    if (!finishActions || action === null) {
+        return
+    }
+    const actions = (_tracking._tracker === null
+                     ? []
+                     : _tracking._tracker._actionsOfTask(
+                         action._identification[TASK_UUID_FIELD]))
+    if (actions.indexOf(action) === -1) {
+        actions.unshift(action)
+    }
+    for (const a of actions) {
+        a.finish(_failureReason(error))
+    }
+}
+
+
+/**
+ * Log uncaught exceptions and unhandled promise rejections.
+ *
+ * In Node the `uncaughtExceptionMonitor` and `unhandledRejection` process
+ * events are used. Since handling `unhandledRejection` replaces Node's default
+ * behaviour, unless something else also handles the event, `destinations` are
+ * flushed after logging an unhandled rejection and then the rejection is
+ * raised as an uncaught exception, as it otherwise would be: any
+ * `uncaughtException` handlers are invoked or, if there are none, the process
+ * exits with status 1. In browsers the `error` and `unhandledrejection` window
+ * events are used.
+ *
+ * @example
+ * const uninstall = installUncaughtHandler({finishActions: true})
+ *
+ * @param {object} [opt] Options.
+ * @param {?ILogger} [opt.logger] Logger to write to, if not provided the
+ * logger of the failing action, or the default logger, will be used.
+ * @param {boolean} [opt.finishActions=false] Finish the failing action, and any
+ * other open actions of its task if actions are being tracked, as failed?
+ * @param {Destinations} [opt.destinations] Destinations to flush before
+ * raising an unhandled rejection, defaults to the global destinations.
+ * @param {?number} [opt.timeout=5] Seconds to wait for destinations to flush,
+ * or `null` to wait indefinitely.
+ * @param {?object} [opt.target] Event target to install the handlers on,
+ * defaults to `window` or `process`.
+ * @return {function} Function that uninstalls the handlers.
+ */
+export function installUncaughtHandler({logger=null,
+                                        finishActions=false,
+                                        destinations=_destinations,
+                                        timeout=5,
+                                        target=_globalTarget()}={}) {
+    if (target === null) {
+        return () => null
+    }
+    const handle = error => _logUncaught(error, logger, finishActions)
+    if (typeof target.addEventListener === 'function') {
+        const onError = event => handle(
+                  event.error === undefined ? event.message : event.error),
+              onRejection = event => handle(event.reason)
+        target.addEventListener('error', onError)
+        target.addEventListener('unhandledrejection', onRejection)
+        return () => {
+            target.removeEventListener('error', onError)
+            target.removeEventListener('unhandledrejection', onRejection)
+        }
+    }
+    const onException = error => handle(error),
+          raise = reason => {
+              if (target.listenerCount('uncaughtException') > 0) {
+                  target.emit('uncaughtException', reason, 'unhandledRejection')
+              } else {
+                  target.exitCode = 1
+                  target.exit(1)
+              }
+          },
+          onRejection = reason => {
+              handle(reason)
+              if (target.listenerCount('unhandledRejection') === 1) {
+                  // The timeout must keep the process alive, otherwise a flush
+                  // that never settles lets the process exit successfully.
+                  _settleWithin(destinations.flush(), timeout, true)
+                      .then(() => raise(reason))
+              }
+          }
+    target.on('uncaughtExceptionMonitor', onException)
+    target.on('unhandledRejection', onRejection)
+    return () => {
+        target.removeListener('uncaughtExceptionMonitor', onException)
+        target.removeListener('unhandledRejection', onRejection)
+    }
+}
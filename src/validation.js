@@ -9,16 +9,21 @@ import {Message,
         TRACEBACK_FIELD,
         EXCEPTION_FIELD,
         MESSAGE_TYPE_FIELD} from './message'
+import {_redactField} from './redaction'
 import {startAction,
         startTask,
         ACTION_TYPE_FIELD,
+        DURATION_FIELD,
         ACTION_STATUS_FIELD,
         STARTED_STATUS,
         SUCCEEDED_STATUS,
         FAILED_STATUS} from './action'
 
 
-const RESERVED_FIELDS = [TASK_LEVEL_FIELD, TASK_UUID_FIELD, TIMESTAMP_FIELD],
+const RESERVED_FIELDS = [TASK_LEVEL_FIELD,
+                         TASK_UUID_FIELD,
+                         TIMESTAMP_FIELD,
+                         DURATION_FIELD],
       _JSON_TYPES = Set.of('null',
                            'number', 'Number',
                            'string', 'String',
@@ -65,6 +70,30 @@ export class Field {
         this.description = description
         this._serializer = serializer
         this._extraValidator = extraValidator
+        /**
+         * Redaction strategy for sensitive values, or `null` if the field is
+         * not sensitive.
+         * @type {?RedactionStrategy}
+         */
+        this.redaction = null
+    }
+
+    /**
+     * Create a copy of this field that is redacted when serialized.
+     *
+     * @example
+     * const EMAIL = Field.forTypes(['string'], 'Email address')
+     *   .sensitive(redaction.mask({keep: 4}))
+     *
+     * @param {RedactionStrategy} strategy Redaction strategy, see {@link
+     * drop}, {@link mask} and {@link hmac}.
+     * @return {Field} Sensitive field.
+     */
+    sensitive(strategy) {
+        const field = new Field(
+            this._serializer, this.description, this._extraValidator)
+        field.redaction = strategy
+        return field
     }
 
     /**
@@ -239,6 +268,17 @@ export class BoundField {
     serialize(input) {
         return this.field.serialize(input)
     }
+
+    /**
+     * Create a copy of this field that is redacted when serialized.
+     *
+     * @param {RedactionStrategy} strategy Redaction strategy.
+     * @return {BoundField} Sensitive field.
+     * @see {@link Field#sensitive}
+     */
+    sensitive(strategy) {
+        return new BoundField(this.key, this.field.sensitive(strategy))
+    }
 }
 
 
@@ -307,12 +347,31 @@ export class _MessageSerializer {
     /**
      * Serialize a message in-place, converting inputs to outputs.
      *
+     * Values of sensitive fields are redacted after being serialized.
+     *
      * @param {MessageDictionary} message Message dictionary.
+     * @param {boolean} [redact=true] Redact sensitive fields?
      */
-    serialize(message) {
+    serialize(message, redact=true) {
         for (const [key, field] of this.fields.entries()) {
             message[key] = field.serialize(message[key])
         }
+        if (redact) {
+            this.redact(message)
+        }
+    }
+
+    /**
+     * Redact the values of sensitive fields of a message in-place.
+     *
+     * @param {MessageDictionary} message Message dictionary.
+     */
+    redact(message) {
+        for (const [key, field] of this.fields.entries()) {
+            if (field.field.redaction !== null && message[key] !== undefined) {
+                _redactField(message, key, field.field.redaction)
+            }
+        }
     }
 
     /**
@@ -396,8 +455,8 @@ export function MessageType(messageType, fields, description='') {
 /**
  * {@link ActionType} result.
  *
- * @typedef {function(fields: MessageDictionary, logger: ?Logger): Action}
- * ActionTypeCallable
+ * @typedef {function(fields: MessageDictionary, logger: ?Logger,
+ * limits: ?ActionLimits): Action} ActionTypeCallable
  */
 
 
@@ -452,15 +511,16 @@ export function ActionType(actionType, startFields, successFields,
           _serializers = {start: new _MessageSerializer(_start),
                           success: new _MessageSerializer(_success),
                           failure: new _MessageSerializer(_failure, true)},
-          call = (fields={}, logger=null) => {
-              return startAction(logger, actionType, fields, _serializers)
+          call = (fields={}, logger=null, limits={}) => {
+              return startAction(
+                  logger, actionType, fields, _serializers, limits)
           }
 
     call.actionType = actionType
     call.description = description
     call._serializers = _serializers
-    call.asTask = (fields={}, logger=null) => {
-        return startTask(logger, actionType, _serializers, fields)
+    call.asTask = (fields={}, logger=null, limits={}) => {
+        return startTask(logger, actionType, fields, _serializers, limits)
     }
     return call
 }
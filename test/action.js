@@ -1,14 +1,22 @@
 import {assert} from 'chai'
 
 import {Action,
+        ActionAbortedError,
+        ActionTimeoutError,
         TaskLevel,
+        _monotonicClock,
+        _argumentNames,
+        logCall,
+        logCallDecorator,
+        preserveContext,
         startAction,
         startTask,
         withAction} from '../src/action'
-import {currentAction} from '../src/context'
+import {currentAction, _findAsyncLocalStorage} from '../src/context'
+import {Message} from '../src/message'
 import {addDestination, MemoryLogger} from '../src/output'
 import {assertContainsFields} from '../src/testing'
-import {ActionType, BoundField} from '../src/validation'
+import {ActionType, BoundField, fields} from '../src/validation'
 
 
 /** @test {TaskLevel} */
@@ -148,6 +156,15 @@ describe('Action', function() {
             assert.deepEqual(child._taskLevel, new TaskLevel([1]))
         })
 
+        /** @test {Action#child} */
+        it("uses the parent's logger if none is given", function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename'),
+                  child = action.child(null, 'newsystem:newname')
+            assert.strictEqual(child._logger, logger)
+        })
+
         it('increments the level for subsequent children', function() {
             const logger = new MemoryLogger(),
                   action = new Action(
@@ -189,6 +206,17 @@ describe('Action', function() {
                 () => { throw new Error('Nope') })
             assert.strictEqual(currentAction(), null)
         })
+
+        /** @test {Action#run} */
+        it('keeps the action current in asynchronous continuations', function() {
+            if (_findAsyncLocalStorage() === null) {
+                this.skip()
+            }
+            const action = new Action(null, '', new TaskLevel([]), '')
+            return action.run(() => new Promise(resolve => setTimeout(resolve, 1))
+                              .then(() => currentAction()))
+                .then(current => assert.strictEqual(current, action))
+        })
     })
 
     describe('#finish', function() {
@@ -234,6 +262,59 @@ describe('Action', function() {
             assert.strictEqual(logger.serializers[0], serializers.failure)
         })
 
+        /** @test {Action#finish} */
+        it('logs the duration of a started action', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename'),
+                  times = [10.25, 12.5]
+            action._clock = () => times.shift()
+            action._start({})
+            action.finish()
+            assert.strictEqual(logger.messages[0].eliot_duration, undefined)
+            assert.strictEqual(logger.messages[1].eliot_duration, 2.25)
+        })
+
+        /** @test {Action#finish} */
+        it('logs the duration of a failed action', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename'),
+                  times = [1, 4]
+            action._clock = () => times.shift()
+            action._start({})
+            action.finish(new Error('Nope'))
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 eliot_duration: 3})
+        })
+
+        /** @test {Action#finish} */
+        it('does not log a duration for an action that was not started', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename')
+            action.finish()
+            assert.notProperty(logger.messages[0], 'eliot_duration')
+        })
+
+        /** @test {Action#finish} */
+        it('does not replace a `duration` success field', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename'),
+                  times = [1, 4]
+            action._clock = () => times.shift()
+            action._start({})
+            action.addSuccessFields({duration: 10})
+            action.finish()
+            assertContainsFields(
+                logger.messages[1],
+                {duration: 10,
+                 eliot_duration: 3})
+        })
+
         /** @test {Action#finish} */
         it('logs a message without the start fields', function() {
             const logger = new MemoryLogger(),
@@ -330,6 +411,18 @@ describe('Action', function() {
 })
 
 
+describe('_monotonicClock', function() {
+    /** @test {_monotonicClock} */
+    it('returns non-decreasing times in seconds', function() {
+        const clock = _monotonicClock(),
+              a = clock(),
+              b = clock()
+        assert.isNumber(a)
+        assert.isAtLeast(b, a)
+    })
+})
+
+
 describe('startTask', function() {
     /** @test {startTask} */
     it('creates a new top-level Action', function() {
@@ -538,4 +631,646 @@ describe('withAction', function() {
              y: 2,
              z: 3})
     })
+    /** @test {withAction} */
+    it('returns the result of the function', function() {
+        const action = new Action(
+            new MemoryLogger(), 'uuid', new TaskLevel([1]), 'sys:me')
+        assert.strictEqual(withAction(action, () => 42), 42)
+    })
+
+    describe('with a thenable result', function() {
+        /** @test {withAction} */
+        it('does not finish the action until the promise settles', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'uuid', new TaskLevel([1]), 'sys:me')
+            let resolve
+            const result = withAction(
+                action, () => new Promise(r => { resolve = r }))
+            assert.deepEqual(logger.messages, [])
+            resolve(42)
+            return result.then(() => {
+                assert.strictEqual(logger.messages.length, 1)
+            })
+        })
+
+        /** @test {withAction} */
+        it('returns a promise of the result', function() {
+            const action = new Action(
+                new MemoryLogger(), 'uuid', new TaskLevel([1]), 'sys:me'),
+                  thenable = {then: resolve => resolve(42)},
+                  result = withAction(action, () => thenable)
+            assert.instanceOf(result, Promise)
+            return result.then(value => assert.strictEqual(value, 42))
+        })
+
+        /** @test {withAction} */
+        it('logs an action finish message with success fields on resolution', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'uuid', new TaskLevel([1]), 'sys:me')
+            return withAction(action, action => Promise.resolve(2).then(x => {
+                action.addSuccessFields({x})
+            })).then(() => {
+                assertContainsFields(
+                    logger.messages[0],
+                    {task_uuid: 'uuid',
+                     task_level: [1, 1],
+                     action_type: 'sys:me',
+                     action_status: 'succeeded',
+                     x: 2})
+            })
+        })
+
+        /** @test {withAction} */
+        it('logs an action finish message on rejection', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'uuid', new TaskLevel([1]), 'sys:me'),
+                  error = new Error('Nope')
+            return withAction(action, () => Promise.reject(error)).then(
+                () => assert.fail(),
+                e => {
+                    assert.strictEqual(e, error)
+                    assertContainsFields(
+                        logger.messages[0],
+                        {task_uuid: 'uuid',
+                         task_level: [1, 1],
+                         action_type: 'sys:me',
+                         action_status: 'failed',
+                         reason: 'Error: Nope',
+                         exception: 'Error'})
+                })
+        })
+
+        /** @test {withAction} */
+        it('fails the action on rejection without a reason', function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'uuid', new TaskLevel([1]), 'sys:me')
+            return withAction(action, () => Promise.reject()).then(
+                () => assert.fail(),
+                e => {
+                    assert.isUndefined(e)
+                    assertContainsFields(
+                        logger.messages[0],
+                        {action_status: 'failed',
+                         reason: 'Error: Rejected with undefined',
+                         exception: 'Error'})
+                })
+        })
+
+        /** @test {withAction} */
+        it('unsets the action synchronously', function() {
+            withAction(
+                new Action(new MemoryLogger(), '', new TaskLevel([]), ''),
+                () => Promise.resolve())
+            assert.strictEqual(currentAction(), null)
+        })
+    })
+})
+
+
+describe('preserveContext', function() {
+    /** @test {preserveContext} */
+    it('returns the function unchanged when there is no current action', function() {
+        const f = () => null
+        assert.strictEqual(preserveContext(f), f)
+    })
+
+    /** @test {preserveContext} */
+    it('runs the function within a continuation of the action', function() {
+        const logger = new MemoryLogger(),
+              action = new Action(logger, 'uuid', new TaskLevel([1]), 'sys:me'),
+              f = action.run(() => preserveContext(() => currentAction())),
+              continued = f()
+        assert.notStrictEqual(continued, action)
+        assert.deepEqual(
+            continued._identification,
+            {task_uuid: 'uuid',
+             action_type: 'eliot_js:remote_task'})
+        assert.deepEqual(continued._taskLevel, new TaskLevel([1, 1]))
+        assert.strictEqual(continued._logger, logger)
+        assertContainsFields(
+            logger.messages[0],
+            {task_uuid: 'uuid',
+             task_level: [1, 1, 1],
+             action_status: 'started'})
+        assertContainsFields(
+            logger.messages[1],
+            {task_uuid: 'uuid',
+             task_level: [1, 1, 2],
+             action_status: 'succeeded'})
+    })
+
+    /** @test {preserveContext} */
+    it('passes arguments and `this` and returns the result', function() {
+        const action = new Action(
+            new MemoryLogger(), 'uuid', new TaskLevel([1]), 'sys:me'),
+              obj = {f: action.run(() => preserveContext(
+                  function(a, b) { return [this, a, b] }))}
+        assert.deepEqual(obj.f(1, 2), [obj, 1, 2])
+    })
+
+    /** @test {preserveContext} */
+    it('finishes the continuation with the error the function throws', function() {
+        const logger = new MemoryLogger(),
+              action = new Action(logger, 'uuid', new TaskLevel([1]), 'sys:me'),
+              f = action.run(() => preserveContext(() => {
+                  throw new Error('Nope')
+              }))
+        assert.throws(f, /Nope/)
+        assertContainsFields(
+            logger.messages[1],
+            {action_status: 'failed',
+             reason: 'Error: Nope'})
+    })
+
+    /** @test {preserveContext} */
+    it('can only be called once', function() {
+        const action = new Action(
+            new MemoryLogger(), 'uuid', new TaskLevel([1]), 'sys:me'),
+              f = action.run(() => preserveContext(() => null))
+        f()
+        assert.throws(f, /only be called once/)
+    })
+})
+
+
+describe('_argumentNames', function() {
+    /** @test {_argumentNames} */
+    it('names the parameters of functions', function() {
+        assert.deepEqual(_argumentNames(function(a, b) {}), ['a', 'b'])
+        assert.deepEqual(_argumentNames(function named() {}), [])
+    })
+
+    /** @test {_argumentNames} */
+    it('names the parameters of arrow functions', function() {
+        // Build the source at runtime so it is not rewritten by the compiler.
+        assert.deepEqual(_argumentNames(new Function('return x => x')()), ['x'])
+        assert.deepEqual(
+            _argumentNames(new Function('return (x, y) => g(x)')()),
+            ['x', 'y'])
+    })
+
+    /** @test {_argumentNames} */
+    it('skips defaults and cannot name destructuring', function() {
+        assert.deepEqual(
+            _argumentNames(new Function(
+                'return function(a=f(1, 2), {b, c}, [d, e], ...f) {}')()),
+            ['a', null, null, 'f'])
+    })
+})
+
+
+describe('logCall', function() {
+    /** @test {logCall} */
+    it('logs the arguments and result as an action named after the function', function() {
+        const logger = new MemoryLogger(),
+              add = logCall(function add(x, y) { return x + y }, {logger})
+        assert.strictEqual(add(1, 2), 3)
+        assertContainsFields(
+            logger.messages[0],
+            {action_type: 'add',
+             action_status: 'started',
+             x: 1,
+             y: 2})
+        assertContainsFields(
+            logger.messages[1],
+            {action_type: 'add',
+             action_status: 'succeeded',
+             result: 3})
+    })
+
+    /** @test {logCall} */
+    it('uses an explicit action type', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => null, {actionType: 'sys:me', logger})
+        f()
+        assertContainsFields(logger.messages[0], {action_type: 'sys:me'})
+    })
+
+    /** @test {logCall} */
+    it('applies the serializers of an ActionType', function() {
+        const logger = new MemoryLogger(),
+              LOG_ME = ActionType(
+                  'sys:me',
+                  fields({x: 'number'}),
+                  fields({result: 'number'})),
+              f = logCall(function(x) { return x * 2 },
+                          {actionType: LOG_ME, logger})
+        f(2)
+        assert.strictEqual(logger.serializers[0], LOG_ME._serializers.start)
+        assert.strictEqual(logger.serializers[1], LOG_ME._serializers.success)
+        logger.validate()
+    })
+
+    /** @test {logCall} */
+    it('names arguments by position when they cannot be determined', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(new Function('return function({a}, b) {}')(),
+                          {logger})
+        f({a: 1}, 2)
+        assertContainsFields(logger.messages[0], {arg0: {a: 1}, b: 2})
+    })
+
+    /** @test {logCall} */
+    it('uses explicit argument names', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(function() {}, {argNames: ['a', 'b'], logger})
+        f(1, 2)
+        assertContainsFields(logger.messages[0], {a: 1, b: 2})
+    })
+
+    /** @test {logCall} */
+    it('includes only the selected arguments', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(function(a, b, c) {}, {includeArgs: ['a', 'c'], logger})
+        f(1, 2, 3)
+        assertContainsFields(logger.messages[0], {a: 1, c: 3})
+        assert.strictEqual(logger.messages[0].b, undefined)
+    })
+
+    /** @test {logCall} */
+    it('excludes arguments', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(function(user, password) {},
+                          {excludeArgs: ['password'], logger})
+        f('bob', 'hunter2')
+        assertContainsFields(logger.messages[0], {user: 'bob'})
+        assert.strictEqual(logger.messages[0].password, undefined)
+    })
+
+    /** @test {logCall} */
+    it('can omit the result', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => 42, {includeResult: false, logger})
+        f()
+        assert.strictEqual(logger.messages[1].result, undefined)
+    })
+
+    /** @test {logCall} */
+    it('preserves `this`', function() {
+        const obj = {f: logCall(function() { return this },
+                                {logger: new MemoryLogger()})}
+        assert.strictEqual(obj.f(), obj)
+    })
+
+    /** @test {logCall} */
+    it('runs the function within the action', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => currentAction(), {logger})
+        assert.instanceOf(f(), Action)
+    })
+
+    /** @test {logCall} */
+    it('fails the action when the function throws', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => { throw new Error('Nope') }, {logger})
+        assert.throws(f, /Nope/)
+        assertContainsFields(
+            logger.messages[1],
+            {action_status: 'failed',
+             reason: 'Error: Nope'})
+    })
+
+    /** @test {logCall} */
+    it('logs the result of a promise', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => Promise.resolve(42), {logger})
+        return f().then(value => {
+            assert.strictEqual(value, 42)
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'succeeded',
+                 result: 42})
+        })
+    })
+
+    /** @test {logCall} */
+    it('fails the action when a promise rejects', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => Promise.reject(new Error('Nope')), {logger})
+        return f().then(
+            () => assert.fail(),
+            () => assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 reason: 'Error: Nope'}))
+    })
+
+    /** @test {logCall} */
+    it('fails the action when a promise rejects without a reason', function() {
+        const logger = new MemoryLogger(),
+              f = logCall(() => Promise.reject(null), {logger})
+        return f().then(
+            () => assert.fail(),
+            () => assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 reason: 'Error: Rejected with null'}))
+    })
+
+    describe('with a generator', function() {
+        // A hand-rolled generator object, avoiding the need for a
+        // regenerator runtime.
+        const makeGenerator = (values, returnValue) => () => {
+            const remaining = Array.from(values),
+                  contexts = []
+            return {
+                contexts,
+                next() {
+                    contexts.push(currentAction())
+                    return (remaining.length > 0
+                            ? {value: remaining.shift(), done: false}
+                            : {value: returnValue, done: true})
+                },
+                throw(e) {
+                    throw e
+                },
+                return(value) {
+                    return {value, done: true}
+                }
+            }
+        }
+
+        /** @test {logCall} */
+        it('finishes the action when the generator completes', function() {
+            const logger = new MemoryLogger(),
+                  f = logCall(makeGenerator([1, 2], 3), {logger}),
+                  gen = f()
+            assert.deepEqual(Array.from(gen), [1, 2])
+            assert.strictEqual(logger.messages.length, 2)
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'succeeded',
+                 result: 3})
+        })
+
+        /** @test {logCall} */
+        it('resumes the generator within the action', function() {
+            const logger = new MemoryLogger(),
+                  generator = makeGenerator([1], 2)(),
+                  f = logCall(() => generator, {logger}),
+                  gen = f()
+            gen.next()
+            assert.strictEqual(currentAction(), null)
+            assert.instanceOf(generator.contexts[0], Action)
+        })
+
+        /** @test {logCall} */
+        it('fails the action when the generator throws', function() {
+            const logger = new MemoryLogger(),
+                  f = logCall(makeGenerator([1], 2), {logger}),
+                  gen = f()
+            assert.throws(() => gen.throw(new Error('Nope')), /Nope/)
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 reason: 'Error: Nope'})
+        })
+    })
+
+    describe('with an async generator', function() {
+        before(function() {
+            if (typeof Symbol.asyncIterator !== 'symbol') {
+                this.skip()
+            }
+        })
+
+        // A hand-rolled async generator object, since async generator
+        // functions cannot be compiled.
+        const makeAsyncGenerator = (values, returnValue) => () => {
+            const remaining = Array.from(values),
+                  contexts = []
+            return {
+                contexts,
+                next() {
+                    contexts.push(currentAction())
+                    return Promise.resolve(
+                        remaining.length > 0
+                            ? {value: remaining.shift(), done: false}
+                            : {value: returnValue, done: true})
+                },
+                throw(e) {
+                    return Promise.reject(e)
+                },
+                return(value) {
+                    return Promise.resolve({value, done: true})
+                },
+                [Symbol.asyncIterator]() {
+                    return this
+                }
+            }
+        }
+
+        /** Collect the values of an async iterator. */
+        const collect = (iterator, values=[]) => iterator.next().then(
+            step => step.done
+                ? values
+                : collect(iterator, values.concat([step.value])))
+
+        /** @test {logCall} */
+        it('finishes the action when the generator completes', function() {
+            const logger = new MemoryLogger(),
+                  f = logCall(makeAsyncGenerator([1, 2], 3), {logger}),
+                  gen = f()
+            assert.strictEqual(gen[Symbol.asyncIterator](), gen)
+            return collect(gen).then(values => {
+                assert.deepEqual(values, [1, 2])
+                assert.strictEqual(logger.messages.length, 2)
+                assertContainsFields(
+                    logger.messages[1],
+                    {action_status: 'succeeded',
+                     result: 3})
+            })
+        })
+
+        /** @test {logCall} */
+        it('resumes the generator within the action', function() {
+            const logger = new MemoryLogger(),
+                  generator = makeAsyncGenerator([1], 2)(),
+                  f = logCall(() => generator, {logger}),
+                  gen = f()
+            return gen.next().then(step => {
+                assert.deepEqual(step, {value: 1, done: false})
+                assert.strictEqual(currentAction(), null)
+                assert.instanceOf(generator.contexts[0], Action)
+                assert.strictEqual(logger.messages.length, 1)
+            })
+        })
+
+        /** @test {logCall} */
+        it('fails the action when the generator throws', function() {
+            const logger = new MemoryLogger(),
+                  f = logCall(makeAsyncGenerator([1], 2), {logger}),
+                  gen = f()
+            return gen.throw(new Error('Nope')).then(
+                () => assert.fail(),
+                e => {
+                    assert.strictEqual(e.message, 'Nope')
+                    assertContainsFields(
+                        logger.messages[1],
+                        {action_status: 'failed',
+                         reason: 'Error: Nope'})
+                })
+        })
+    })
+})
+
+
+describe('logCallDecorator', function() {
+    /** @test {logCallDecorator} */
+    it('wraps functions', function() {
+        const logger = new MemoryLogger(),
+              f = logCallDecorator({actionType: 'sys:me', logger})(x => x)
+        f(1)
+        assertContainsFields(logger.messages[0], {action_type: 'sys:me'})
+    })
+
+    /** @test {logCallDecorator} */
+    it('decorates methods', function() {
+        const logger = new MemoryLogger(),
+              descriptor = {value: function(x) { return x },
+                            writable: true},
+              decorated = logCallDecorator({logger})({}, 'method', descriptor)
+        assert.strictEqual(decorated.writable, true)
+        assert.strictEqual(decorated.value(1), 1)
+        assertContainsFields(logger.messages[1], {result: 1})
+    })
+})
+
+
+describe('Action limits', function() {
+    const describeAbort = (typeof AbortController === 'undefined'
+                           ? describe.skip
+                           : describe)
+
+    /** @test {Action#signal} */
+    it('has no signal without limits', function() {
+        const action = startTask(new MemoryLogger(), 'sys:me')
+        assert.strictEqual(action.signal, null)
+        assert.strictEqual(action._deadline, null)
+    })
+
+    /** @test {startAction} */
+    it('fails the action with ActionTimeoutError after the timeout', function(done) {
+        const logger = new MemoryLogger()
+        startAction(logger, 'sys:me', {}, null, {timeout: 0.001})
+        setTimeout(() => {
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 exception: 'ActionTimeoutError'})
+            done()
+        }, 20)
+    })
+
+    /** @test {startAction} */
+    it('does not time out actions that finish in time', function(done) {
+        const logger = new MemoryLogger(),
+              action = startAction(logger, 'sys:me', {}, null, {timeout: 0.001})
+        action.finish()
+        setTimeout(() => {
+            assert.strictEqual(logger.messages.length, 2)
+            assert.strictEqual(logger.messages[1].action_status, 'succeeded')
+            done()
+        }, 20)
+    })
+
+    /** @test {startTask} */
+    it('uses the earliest of the timeout and deadline', function() {
+        const action = startTask(
+            new MemoryLogger(), 'sys:me', {}, null,
+            {timeout: 60, deadline: Message._time() + 30})
+        action.finish()
+        assert.isBelow(action._deadline, Message._time() + 31)
+    })
+
+    /** @test {Action#child} */
+    it('children inherit the deadline of their parent', function() {
+        const parent = startTask(
+            new MemoryLogger(), 'sys:me', {}, null, {timeout: 60}),
+              child = parent.child(null, 'sys:child')
+        assert.strictEqual(child._deadline, parent._deadline)
+        parent.finish()
+    })
+
+    /** @test {Action#child} */
+    it('children may have an earlier deadline than their parent', function() {
+        const logger = new MemoryLogger(),
+              parent = startTask(logger, 'sys:me', {}, null, {timeout: 60})
+        withAction(parent, () => {
+            const child = startAction(logger, 'sys:child', {}, null, {timeout: 1})
+            assert.isBelow(child._deadline, parent._deadline)
+            child.finish()
+        })
+    })
+
+    /** @test {ActionType} */
+    it('ActionType callables accept limits', function() {
+        const LOG_ME = ActionType('sys:me', [], []),
+              action = LOG_ME({}, new MemoryLogger(), {timeout: 60}),
+              task = LOG_ME.asTask({}, new MemoryLogger(), {timeout: 60})
+        assert.isNotNull(action._deadline)
+        assert.isNotNull(task._deadline)
+        action.finish()
+        task.finish()
+    })
+
+    describeAbort('with an AbortSignal', function() {
+        /** @test {startAction} */
+        it('fails the action with ActionAbortedError when aborted', function() {
+            const logger = new MemoryLogger(),
+                  controller = new AbortController()
+            startAction(logger, 'sys:me', {}, null, {signal: controller.signal})
+            controller.abort('Stop')
+            assertContainsFields(
+                logger.messages[1],
+                {action_status: 'failed',
+                 exception: 'ActionAbortedError',
+                 reason: 'ActionAbortedError: Action was aborted: Stop'})
+        })
+
+        /** @test {startAction} */
+        it('fails the action immediately if already aborted', function() {
+            const logger = new MemoryLogger(),
+                  controller = new AbortController()
+            controller.abort('Stop')
+            startAction(logger, 'sys:me', {}, null, {signal: controller.signal})
+            assert.strictEqual(logger.messages[1].action_status, 'failed')
+        })
+
+        /** @test {Action#signal} */
+        it('exposes a signal that is aborted with the error', function(done) {
+            const action = startTask(
+                new MemoryLogger(), 'sys:me', {}, null, {timeout: 0.001})
+            action.signal.addEventListener('abort', () => {
+                assert.instanceOf(action.signal.reason, ActionTimeoutError)
+                done()
+            })
+        })
+
+        /** @test {Action#signal} */
+        it('is not aborted when the action finishes', function() {
+            const controller = new AbortController(),
+                  action = startTask(new MemoryLogger(), 'sys:me', {}, null,
+                                     {signal: controller.signal})
+            action.finish()
+            controller.abort()
+            assert.strictEqual(action.signal.aborted, false)
+        })
+
+        /** @test {Action#child} */
+        it('aborts children when their parent is aborted', function() {
+            const logger = new MemoryLogger(),
+                  controller = new AbortController(),
+                  parent = startTask(logger, 'sys:me', {}, null,
+                                     {signal: controller.signal}),
+                  child = parent.run(() => startAction(logger, 'sys:child'))
+            controller.abort('Stop')
+            assert.strictEqual(child.signal.aborted, true)
+            assert.instanceOf(child.signal.reason, ActionAbortedError)
+        })
+    })
 })
@@ -0,0 +1,236 @@
+import {assert} from 'chai'
+
+import {Action, TaskLevel} from '../src/action'
+
+import {BATCH_DROPPED_MESSAGE_TYPE,
+        BatchDroppedError,
+        batchMessages} from '../src/batching'
+import {DESTINATION_DISABLED_MESSAGE_TYPE,
+        DESTINATION_FAILURE_MESSAGE_TYPE,
+        Destinations,
+        Logger,
+        MemoryLogger} from '../src/output'
+
+
+/** Wait for pending promise callbacks to run. */
+const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+
+/** @test {batchMessages} */
+describe('batchMessages', function() {
+    it('writes a batch once it has enough messages', function() {
+        const batches = [],
+              destination = batchMessages(b => { batches.push(b) },
+                                          {maxCount: 2})
+        destination.write({x: 1})
+        assert.deepEqual(batches, [])
+        destination.write({x: 2})
+        destination.write({x: 3})
+        assert.deepEqual(batches, [[{x: 1}, {x: 2}]])
+        return destination.flush().then(() => {
+            assert.deepEqual(batches, [[{x: 1}, {x: 2}], [{x: 3}]])
+        })
+    })
+
+    it('writes a batch before it grows too large', function() {
+        const batches = [],
+              destination = batchMessages(b => { batches.push(b) },
+                                          {maxBytes: 16})
+        destination.write({x: 1})
+        destination.write({x: 2})
+        assert.deepEqual(batches, [])
+        destination.write({x: 3})
+        assert.deepEqual(batches, [[{x: 1}, {x: 2}]])
+        destination.write({x: 'a long value'})
+        return destination.flush().then(() => {
+            assert.deepEqual(batches, [[{x: 1}, {x: 2}],
+                                       [{x: 3}],
+                                       [{x: 'a long value'}]])
+        })
+    })
+
+    it('writes a batch after an interval', function(done) {
+        const batches = [],
+              destination = batchMessages(b => {
+                  batches.push(b)
+                  assert.deepEqual(batches, [[{x: 1}, {x: 2}]])
+                  done()
+              }, {interval: 0.01})
+        destination.write({x: 1})
+        destination.write({x: 2})
+    })
+
+    it('writes out the current batch when closed', function() {
+        const batches = [],
+              destination = batchMessages(b => { batches.push(b) })
+        destination.write({x: 1})
+        return destination.close().then(() => {
+            assert.deepEqual(batches, [[{x: 1}]])
+        })
+    })
+
+    it('writes one batch at a time', function() {
+        const calls = [],
+              resolves = [],
+              destination = batchMessages(b => {
+                  calls.push(b)
+                  return new Promise(resolve => resolves.push(resolve))
+              }, {maxCount: 1})
+        destination.write({x: 1})
+        destination.write({x: 2})
+        assert.deepEqual(calls, [[{x: 1}]])
+        resolves[0]()
+        return tick().then(() => {
+            assert.deepEqual(calls, [[{x: 1}], [{x: 2}]])
+            resolves[1]()
+            return destination.flush()
+        })
+    })
+
+    it('drops the oldest batch when the sink is slow', function() {
+        const logger = new MemoryLogger(),
+              calls = [],
+              resolves = [],
+              destination = batchMessages(b => {
+                  calls.push(b)
+                  return new Promise(resolve => resolves.push(resolve))
+              }, {maxCount: 1, maxQueued: 1, logger})
+        destination.write({x: 1})
+        const dropped = destination.write({x: 2}).then(
+            () => assert.fail('Dropped batch was written'),
+            e => {
+                assert.instanceOf(e, BatchDroppedError)
+                assert.strictEqual(e.count, 1)
+            })
+        destination.write({x: 3})
+        assert.strictEqual(logger.messages.length, 0)
+        return tick()
+            .then(() => {
+                assert.strictEqual(logger.messages.length, 1)
+                assert.include(logger.messages[0],
+                               {message_type: BATCH_DROPPED_MESSAGE_TYPE,
+                                destination: 'anonymous',
+                                messages: 1})
+                resolves[0]()
+                return dropped
+            })
+            .then(tick)
+            .then(() => {
+                assert.deepEqual(calls, [[{x: 1}], [{x: 3}]])
+                resolves[1]()
+                return destination.flush()
+            })
+    })
+
+    it('reports dropped batches as failures of the destination', function() {
+        const destinations = new Destinations(),
+              logger = new Logger(destinations),
+              dest = [],
+              batches = [],
+              destination = batchMessages(function upload(b) {
+                  batches.push(b)
+                  return new Promise(() => null)
+              }, {maxCount: 1, maxQueued: 1, logger})
+        destinations.add(destination)
+        destinations.add(Array.prototype.push.bind(dest))
+        for (let i = 0; i < 3; i++) {
+            logger.write({message_type: 'app:message', i})
+        }
+        return tick().then(tick).then(() => {
+            assert.include(destinations.health()[0], {sent: 0, failures: 1})
+            assert.deepEqual(
+                dest.map(m => m.message_type),
+                ['app:message',
+                 'app:message',
+                 'app:message',
+                 DESTINATION_FAILURE_MESSAGE_TYPE,
+                 BATCH_DROPPED_MESSAGE_TYPE])
+            assert.include(dest[3], {exception: 'BatchDroppedError'})
+            assert.strictEqual(JSON.parse(dest[3].message).i, 1)
+            assert.include(dest[4], {destination: 'upload', messages: 1})
+            assert.deepEqual(batches.map(b => b[0].i), [0])
+        })
+    })
+
+    it('does not write reports of dropped batches to itself', function() {
+        const destinations = new Destinations(),
+              logger = new Logger(destinations),
+              batches = [],
+              destination = batchMessages(b => {
+                  batches.push(b)
+                  return new Promise(() => null)
+              }, {maxCount: 1, maxQueued: 1, logger})
+        destinations.add(destination)
+        return new Action(logger, 'uuid', new TaskLevel([]), 'app:action')
+            .run(() => {
+                for (let i = 0; i < 3; i++) {
+                    logger.write({message_type: 'app:message', i})
+                }
+                return tick()
+            })
+            .then(tick)
+            .then(() => {
+                assert.deepEqual(batches.map(b => b[0].i), [0])
+                assert.deepEqual(destination._queue.map(b => b.messages[0].i),
+                                 [2])
+            })
+    })
+
+    it('reports failed batches as failures of the destination', function() {
+        const destinations = new Destinations({failureThreshold: 3}),
+              logger = new Logger(destinations),
+              dest = [],
+              destination = batchMessages(function upload(b) {
+                  return Promise.reject(new TypeError('Nope'))
+              }, {maxCount: 2, logger})
+        destinations.add(destination)
+        destinations.add(Array.prototype.push.bind(dest))
+        for (let i = 0; i < 4; i++) {
+            logger.write({message_type: 'app:message', i})
+        }
+        return destinations.flush().then(() => {
+            const [health] = destinations.health()
+            assert.include(health, {sent: 0, failures: 4, disabled: true})
+            assert.deepEqual(
+                dest.map(m => m.message_type),
+                ['app:message',
+                 'app:message',
+                 'app:message',
+                 'app:message',
+                 DESTINATION_FAILURE_MESSAGE_TYPE,
+                 DESTINATION_DISABLED_MESSAGE_TYPE])
+            assert.include(dest[4], {reason: 'TypeError: Nope',
+                                     exception: 'TypeError'})
+            assert.strictEqual(JSON.parse(dest[4].message).i, 0)
+        })
+    })
+
+    it('does not report failures to the failing destination', function() {
+        const destinations = new Destinations(),
+              logger = new Logger(destinations),
+              batches = [],
+              destination = batchMessages(b => {
+                  batches.push(b)
+                  throw new Error('Nope')
+              }, {logger})
+        destinations.add(destination)
+        logger.write({x: 1})
+        return destinations.flush()
+            .then(() => destinations.flush())
+            .then(() => {
+                assert.deepEqual(batches, [[{x: 1}]])
+                assert.strictEqual(destinations.health()[0].failures, 1)
+            })
+    })
+
+    it('counts written batches as sent', function() {
+        const destinations = new Destinations(),
+              destination = batchMessages(b => null)
+        destinations.add(destination)
+        destinations.send({x: 1})
+        destinations.send({x: 2})
+        return destinations.flush().then(() => {
+            assert.include(destinations.health()[0], {sent: 2, failures: 0})
+        })
+    })
+})
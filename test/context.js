@@ -1,7 +1,10 @@
 import {assert} from 'chai'
 
 import * as _context from '../src/context'
-import {_ExecutionContext} from '../src/context'
+import {_AsyncExecutionContext,
+        _ExecutionContext,
+        _createContext,
+        _findAsyncLocalStorage} from '../src/context'
 
 
 describe('_ExecutionContext', function() {
@@ -62,7 +65,118 @@ describe('_ExecutionContext', function() {
         })
     })
 
-    it('has a global instance', function() {
-        assert.instanceOf(_context._context, _ExecutionContext)
+    describe('#run', function() {
+        /** @test {_ExecutionContext#run} */
+        it('sets the front action while running', function() {
+            const ctx = new _ExecutionContext(),
+                  a = new Object()
+            assert.strictEqual(ctx.run(a, () => ctx.current()), a)
+            assert.strictEqual(ctx.current(), null)
+        })
+
+        /** @test {_ExecutionContext#run} */
+        it('restores the previous front action if the function throws', function() {
+            const ctx = new _ExecutionContext(),
+                  a = new Object(),
+                  b = new Object()
+            ctx.push(a)
+            assert.throws(
+                () => ctx.run(b, () => { throw new Error('Nope') }))
+            assert.strictEqual(ctx.current(), a)
+        })
+    })
+})
+
+
+const AsyncLocalStorage = _findAsyncLocalStorage(),
+      describeAsync = AsyncLocalStorage === null ? describe.skip : describe
+
+
+describeAsync('_AsyncExecutionContext', function() {
+    describe('#current', function() {
+        /** @test {_AsyncExecutionContext#current} */
+        it('returns null outside of run', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage)
+            assert.strictEqual(ctx.current(), null)
+        })
+    })
+
+    describe('#run', function() {
+        /** @test {_AsyncExecutionContext#run} */
+        it('sets the front action while running', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage),
+                  a = new Object(),
+                  b = new Object()
+            ctx.run(a, () => {
+                assert.strictEqual(ctx.current(), a)
+                ctx.run(b, () => assert.strictEqual(ctx.current(), b))
+                assert.strictEqual(ctx.current(), a)
+            })
+            assert.strictEqual(ctx.current(), null)
+        })
+
+        /** @test {_AsyncExecutionContext#run} */
+        it('returns the result of the function', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage)
+            assert.strictEqual(ctx.run(new Object(), () => 42), 42)
+        })
+
+        /** @test {_AsyncExecutionContext#run} */
+        it('preserves the front action across promise continuations', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage),
+                  a = new Object()
+            return ctx.run(a, () => Promise.resolve().then(
+                () => assert.strictEqual(ctx.current(), a)))
+        })
+
+        /** @test {_AsyncExecutionContext#run} */
+        it('preserves the front action across timers', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage),
+                  a = new Object()
+            return new Promise(resolve => ctx.run(a, () => setTimeout(
+                () => resolve(ctx.current()), 1)))
+                .then(current => assert.strictEqual(current, a))
+        })
+
+        /** @test {_AsyncExecutionContext#run} */
+        it('keeps concurrent continuations separate', function() {
+            const ctx = new _AsyncExecutionContext(AsyncLocalStorage),
+                  a = new Object(),
+                  b = new Object(),
+                  later = () => new Promise(resolve => setTimeout(
+                      () => resolve(ctx.current()), 1))
+            return Promise.all([ctx.run(a, later), ctx.run(b, later)])
+                .then(([ra, rb]) => {
+                    assert.strictEqual(ra, a)
+                    assert.strictEqual(rb, b)
+                })
+        })
+    })
+})
+
+
+describe('_createContext', function() {
+    /** @test {_createContext} */
+    it('falls back to the stack-based context', function() {
+        assert.instanceOf(_createContext(null), _ExecutionContext)
+    })
+
+    /** @test {_createContext} */
+    it('uses asynchronous context tracking when available', function() {
+        if (AsyncLocalStorage === null) {
+            this.skip()
+        }
+        assert.instanceOf(
+            _createContext(AsyncLocalStorage), _AsyncExecutionContext)
+    })
+})
+
+
+
+describe('_context', function() {
+    it('is the most capable context for the environment', function() {
+        assert.strictEqual(
+            _context._context.constructor,
+            _createContext().constructor)
     })
 })
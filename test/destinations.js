@@ -1,11 +1,26 @@
 import {assert} from 'chai'
+import {EventEmitter} from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {Writable} from 'stream'
+import zlib from 'zlib'
 
-import {toConsole} from '../src/destinations'
+import {registerFormat,
+        toConsole,
+        toFile,
+        toStderr,
+        toStdout,
+        toStream} from '../src/destinations'
 import {Message} from '../src/message'
 import {addDestination} from '../src/output'
 import {assertContainsFields} from '../src/testing'
 
 
+/** Wait for pending stream and promise callbacks to run. */
+const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+
 describe('toConsole', function() {
     /** @test {toConsole} */
     it('performs a noop if no suitable method is found', function() {
@@ -40,3 +55,372 @@ describe('toConsole', function() {
             {x: 123})
     })
 })
+
+
+describe('toFile', function() {
+    let dir, filename
+    const read = name => fs.readFileSync(name, 'utf8'),
+          lines = name => read(name).split('\n').filter(l => l.length > 0)
+              .map(l => JSON.parse(l))
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eliot-'))
+        filename = path.join(dir, 'app.log')
+    })
+
+    afterEach(function() {
+        for (const name of fs.readdirSync(dir)) {
+            fs.unlinkSync(path.join(dir, name))
+        }
+        fs.rmdirSync(dir)
+    })
+
+    /**
+     * Run a function with a fixed message time.
+     */
+    function atTime(time, f) {
+        const original = Message._time
+        Message._time = () => time
+        try {
+            return f()
+        } finally {
+            Message._time = original
+        }
+    }
+
+    /** @test {toFile} */
+    it('writes a line of JSON per message', function() {
+        const destination = toFile(filename, {reopenSignal: null})
+        destination.write({x: 1})
+        destination.write({y: 'two'})
+        return destination.close().then(() => {
+            assert.deepEqual(lines(filename), [{x: 1}, {y: 'two'}])
+        })
+    })
+
+    /** @test {toFile} */
+    it('appends to an existing file', function() {
+        fs.writeFileSync(filename, '{"x":1}\n')
+        const destination = toFile(filename, {reopenSignal: null})
+        destination.write({x: 2})
+        return destination.close().then(() => {
+            assert.deepEqual(lines(filename), [{x: 1}, {x: 2}])
+        })
+    })
+
+    /** @test {toFile} */
+    it('fails flushes after a failed write', function() {
+        const destination = toFile(filename, {reopenSignal: null}),
+              error = new Error('Disk full')
+        destination._fs = Object.assign({}, fs, {
+            write: (fd, line, callback) => callback(error)})
+        const written = destination.write({x: 1}).catch(e => e)
+        return destination.flush().then(
+            () => assert.fail('Expected a rejection'),
+            e => {
+                assert.strictEqual(e, error)
+                destination._fs = fs
+                return written
+            }).then(e => {
+                assert.strictEqual(e, error)
+                return destination.close()
+            })
+    })
+
+    /** @test {toFile} */
+    it('fails closing when the file cannot be closed', function() {
+        const destination = toFile(filename, {reopenSignal: null}),
+              error = new Error('Nope'),
+              fd = destination._fd
+        destination._fs = Object.assign({}, fs, {
+            close: (fd, callback) => callback(error)})
+        return destination.close().then(
+            () => assert.fail('Expected a rejection'),
+            e => {
+                assert.strictEqual(e, error)
+                fs.closeSync(fd)
+            })
+    })
+
+    /** @test {toFile} */
+    it('writes synchronously', function() {
+        const destination = toFile(filename, {sync: true,
+                                              reopenSignal: null})
+        assert.isNull(destination.write({x: 1}))
+        assert.deepEqual(lines(filename), [{x: 1}])
+        return destination.close()
+    })
+
+    /** @test {toFile} */
+    it('rotates by size, keeping some files', function() {
+        const destination = toFile(filename, {maxSize: 16,
+                                              maxFiles: 2,
+                                              reopenSignal: null})
+        return atTime(1473622530, () => {
+            for (let x = 1; x <= 4; x++) {
+                destination.write({x})
+                destination.write({y: x})
+            }
+            return destination.close()
+        }).then(() => {
+            assert.deepEqual(fs.readdirSync(dir).sort(),
+                             ['app.log',
+                              'app.log.2016-09-11.2',
+                              'app.log.2016-09-11.3'])
+            assert.deepEqual(lines(`${filename}.2016-09-11.3`),
+                             [{x: 3}, {y: 3}])
+            assert.deepEqual(lines(filename), [{x: 4}, {y: 4}])
+        })
+    })
+
+    /** @test {toFile} */
+    it('rotates daily', function() {
+        const destination = toFile(filename, {daily: true,
+                                              sync: true,
+                                              reopenSignal: null})
+        atTime(1473622530, () => destination.write({x: 1}))
+        atTime(1473622531, () => destination.write({x: 2}))
+        return atTime(1473622530 + 86400, () => destination.write({x: 3}))
+            .then(() => destination.close())
+            .then(() => {
+                assert.deepEqual(lines(`${filename}.2016-09-11.1`),
+                                 [{x: 1}, {x: 2}])
+                assert.deepEqual(lines(filename), [{x: 3}])
+            })
+    })
+
+    /** @test {toFile} */
+    it('compresses rotated files', function() {
+        const destination = toFile(filename, {maxSize: 8,
+                                              compress: true,
+                                              reopenSignal: null})
+        return atTime(1473622530, () => {
+            destination.write({x: 1})
+            destination.write({x: 2})
+            return destination.close()
+        }).then(() => {
+            const rotated = `${filename}.2016-09-11.1`
+            assert.isFalse(fs.existsSync(rotated))
+            assert.strictEqual(
+                zlib.gunzipSync(fs.readFileSync(`${rotated}.gz`)).toString(),
+                '{"x":1}\n')
+        })
+    })
+
+    /** @test {toFile} */
+    it('reopens the file on a signal', function() {
+        const target = new EventEmitter(),
+              destination = toFile(filename, {sync: true, _process: target})
+        destination.write({x: 1})
+        fs.renameSync(filename, `${filename}.old`)
+        target.emit('SIGHUP')
+        destination.write({x: 2})
+        return destination.close().then(() => {
+            assert.deepEqual(lines(`${filename}.old`), [{x: 1}])
+            assert.deepEqual(lines(filename), [{x: 2}])
+            assert.strictEqual(target.listenerCount('SIGHUP'), 0)
+        })
+    })
+
+    /** @test {toFile} */
+    it('cannot be written to once closed', function() {
+        const destination = toFile(filename, {reopenSignal: null})
+        return destination.close().then(() => {
+            assert.throws(() => destination.write({x: 1}), Error)
+        })
+    })
+})
+
+
+/**
+ * A writable stream that holds written chunks until it is released.
+ */
+class SlowStream extends Writable {
+    constructor() {
+        super({highWaterMark: 1, decodeStrings: false})
+        this.chunks = []
+        this._callbacks = []
+    }
+
+    _write(chunk, encoding, callback) {
+        this.chunks.push(chunk)
+        this._callbacks.push(callback)
+    }
+
+    release() {
+        const callbacks = this._callbacks
+        this._callbacks = []
+        for (const callback of callbacks) {
+            callback()
+        }
+    }
+}
+
+
+describe('toStream', function() {
+    const parse = chunks => chunks.map(c => JSON.parse(c))
+    let unregister = null
+
+    afterEach(function() {
+        if (unregister !== null) {
+            unregister()
+            unregister = null
+        }
+    })
+
+    /** @test {toStream} */
+    it('writes JSON lines', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream)
+        destination.write({x: 1})
+        assert.deepEqual(stream.chunks, ['{"x":1}\n'])
+        stream.release()
+        return destination.close().then(() => {
+            assert.isTrue(stream._writableState.finished)
+        })
+    })
+
+    /** @test {toStream} */
+    it('writes registered formats', function() {
+        const stream = new SlowStream()
+        unregister = registerFormat(
+            'keys', m => `${Object.keys(m).join(',')}\n`)
+        const destination = toStream(stream, {format: 'keys'})
+        destination.write({x: 1, y: 2})
+        assert.deepEqual(stream.chunks, ['x,y\n'])
+    })
+
+    /** @test {registerFormat} */
+    it('stops using formats once they are unregistered', function() {
+        registerFormat('keys', m => `${Object.keys(m).join(',')}\n`)()
+        assert.throws(() => toStream(new SlowStream(), {format: 'keys'}),
+                      /Unknown format: keys/)
+    })
+
+    /** @test {toStream} */
+    it('rejects unknown formats', function() {
+        assert.throws(() => toStream(new SlowStream(), {format: 'nope'}),
+                      /Unknown format: nope/)
+    })
+
+    /** @test {toStream} */
+    it('buffers messages while the stream drains', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream)
+        destination.write({x: 1})
+        destination.write({x: 2})
+        destination.write({x: 3})
+        assert.deepEqual(parse(stream.chunks), [{x: 1}])
+        let flushed = false
+        const flushing = destination.flush().then(() => { flushed = true })
+        stream.release()
+        return tick().then(() => {
+            assert.deepEqual(parse(stream.chunks), [{x: 1}, {x: 2}])
+            assert.isFalse(flushed)
+            stream.release()
+            return tick()
+        }).then(() => {
+            stream.release()
+            return flushing
+        }).then(() => {
+            assert.deepEqual(parse(stream.chunks),
+                             [{x: 1}, {x: 2}, {x: 3}])
+        })
+    })
+
+    /** @test {toStream} */
+    it('flushes once the stream has written every chunk', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream)
+        destination.write({x: 1})
+        let flushed = false
+        const flushing = destination.flush().then(() => { flushed = true })
+        return tick().then(() => {
+            assert.isFalse(flushed)
+            stream.release()
+            return flushing
+        })
+    })
+
+    /** @test {toStream} */
+    it('fails flushes when the stream fails', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream),
+              error = new Error('Nope')
+        destination.write({x: 1})
+        const flushing = destination.flush()
+        stream.emit('error', error)
+        return flushing.then(
+            () => assert.fail('Expected a rejection'),
+            e => {
+                assert.strictEqual(e, error)
+                return destination.flush()
+            }).then(
+                () => assert.fail('Expected a rejection'),
+                e => assert.strictEqual(e, error))
+    })
+
+    /** @test {toStream} */
+    it('drops messages beyond the buffer limit', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream, {maxBuffered: 1})
+        destination.write({x: 1})
+        destination.write({x: 2})
+        destination.write({x: 3})
+        destination.write({x: 4})
+        stream.release()
+        return tick().then(() => {
+            stream.release()
+            return tick()
+        }).then(() => {
+            const messages = parse(stream.chunks)
+            assert.deepEqual(messages.slice(0, 2), [{x: 1}, {x: 2}])
+            assertContainsFields(
+                messages[2],
+                {message_type: 'eliot_js:buffer_overflow', dropped: 2})
+        })
+    })
+
+    /** @test {toStream} */
+    it('throws stream errors from the next write', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream),
+              error = new Error('Nope')
+        stream.emit('error', error)
+        assert.throws(() => destination.write({x: 1}), error)
+        destination.write({x: 2})
+        assert.deepEqual(parse(stream.chunks), [{x: 2}])
+    })
+
+    /** @test {toStream} */
+    it('does not end the stream unless asked to', function() {
+        const stream = new SlowStream(),
+              destination = toStream(stream, {end: false})
+        return destination.close().then(() => {
+            assert.isFalse(stream._writableState.ended)
+            assert.strictEqual(stream.listenerCount('drain'), 0)
+        })
+    })
+})
+
+
+describe('toStdout', function() {
+    /** @test {toStdout} */
+    it('writes to standard output', function() {
+        const destination = toStdout()
+        assert.strictEqual(destination._stream, process.stdout)
+        return destination.close().then(() => {
+            assert.isFalse(process.stdout._writableState.ended)
+        })
+    })
+})
+
+
+describe('toStderr', function() {
+    /** @test {toStderr} */
+    it('writes to standard error', function() {
+        const destination = toStderr()
+        assert.strictEqual(destination._stream, process.stderr)
+        return destination.close()
+    })
+})
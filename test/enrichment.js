@@ -0,0 +1,51 @@
+import {assert} from 'chai'
+import os from 'os'
+
+import {browserEnvironment,
+        memoryUsage,
+        nodeEnvironment} from '../src/enrichment'
+
+
+/** @test {nodeEnvironment} */
+describe('nodeEnvironment', function() {
+    it('describes the Node process', function() {
+        assert.deepEqual(
+            nodeEnvironment(),
+            {hostname: os.hostname(),
+             pid: process.pid,
+             platform: process.platform,
+             node_version: process.versions.node})
+    })
+
+    it('has no fields outside of Node', function() {
+        assert.deepEqual(nodeEnvironment({pid: 1, versions: {}}), {})
+    })
+})
+
+
+/** @test {browserEnvironment} */
+describe('browserEnvironment', function() {
+    it('describes the browser', function() {
+        const window = {navigator: {userAgent: 'Mozilla/5.0',
+                                    language: 'en-GB'}}
+        assert.deepEqual(
+            browserEnvironment(window),
+            {user_agent: 'Mozilla/5.0', language: 'en-GB'})
+    })
+
+    it('has no fields outside of a browser', function() {
+        assert.deepEqual(browserEnvironment(), {})
+    })
+})
+
+
+/** @test {memoryUsage} */
+describe('memoryUsage', function() {
+    it('reports the memory usage of the process', function() {
+        const fields = memoryUsage()
+        assert.deepEqual(Object.keys(fields),
+                         ['memory_rss', 'memory_heap_used'])
+        assert.isAbove(fields.memory_rss, 0)
+        assert.isAbove(fields.memory_heap_used, 0)
+    })
+})
@@ -0,0 +1,252 @@
+import {assert} from 'chai'
+import ExtendableError from 'es6-error'
+
+import {Action, TaskLevel} from '../src/action'
+import {ErrorExtraction,
+        _causeFields,
+        _causeSummary,
+        registerExceptionExtractor} from '../src/errors'
+import {MemoryLogger} from '../src/output'
+import {assertContainsFields} from '../src/testing'
+import {writeTraceback} from '../src/traceback'
+
+
+class HTTPError extends ExtendableError {
+    constructor(status) {
+        super(`HTTP ${status}`)
+        this.status = status
+    }
+}
+
+
+class NotFoundError extends HTTPError {
+    constructor() {
+        super(404)
+    }
+}
+
+
+/** @test {ErrorExtraction} */
+describe('ErrorExtraction', function() {
+    describe('#getFieldsForError', function() {
+        /** @test {ErrorExtraction#getFieldsForError} */
+        it('returns no fields if there is no extractor', function() {
+            const extraction = new ErrorExtraction()
+            assert.deepEqual(
+                extraction.getFieldsForError(null, new Error('Nope')), {})
+        })
+
+        /** @test {ErrorExtraction#getFieldsForError} */
+        it('returns the fields of a registered extractor', function() {
+            const extraction = new ErrorExtraction()
+            extraction.register(HTTPError, e => ({status: e.status}))
+            assert.deepEqual(
+                extraction.getFieldsForError(null, new HTTPError(500)),
+                {status: 500})
+        })
+
+        /** @test {ErrorExtraction#getFieldsForError} */
+        it('uses the extractor of the nearest base class', function() {
+            const extraction = new ErrorExtraction()
+            extraction.register(Error, e => ({base: true}))
+            extraction.register(HTTPError, e => ({status: e.status}))
+            assert.deepEqual(
+                extraction.getFieldsForError(null, new NotFoundError()),
+                {status: 404})
+            assert.deepEqual(
+                extraction.getFieldsForError(null, new TypeError()),
+                {base: true})
+        })
+
+        /** @test {ErrorExtraction#getFieldsForError} */
+        it('handles values that are not errors', function() {
+            const extraction = new ErrorExtraction()
+            extraction.register(Error, e => ({base: true}))
+            assert.deepEqual(extraction.getFieldsForError(null, 'Nope'), {})
+            assert.deepEqual(extraction.getFieldsForError(null, null), {})
+            assert.deepEqual(
+                extraction.getFieldsForError(null, Object.create(null)), {})
+        })
+
+        /** @test {ErrorExtraction#getFieldsForError} */
+        it('logs a traceback for a failing extractor', function() {
+            const extraction = new ErrorExtraction(),
+                  logger = new MemoryLogger()
+            extraction.register(HTTPError, e => { throw new TypeError('Bad') })
+            assert.deepEqual(
+                extraction.getFieldsForError(logger, new HTTPError(500)), {})
+            assert.strictEqual(
+                logger.flushTracebacks(TypeError).length, 1)
+        })
+    })
+})
+
+
+describe('registerExceptionExtractor', function() {
+    let unregister = null
+
+    afterEach(function() {
+        if (unregister !== null) {
+            unregister()
+            unregister = null
+        }
+    })
+
+    /** @test {registerExceptionExtractor} */
+    it('adds fields to action failure messages', function() {
+        const logger = new MemoryLogger(),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        unregister = registerExceptionExtractor(
+            HTTPError, e => ({status: e.status, exception: 'Ignored'}))
+        action.finish(new NotFoundError())
+        assertContainsFields(
+            logger.messages[0],
+            {action_status: 'failed',
+             exception: 'NotFoundError',
+             status: 404})
+    })
+
+    /** @test {registerExceptionExtractor} */
+    it('adds fields to traceback messages', function() {
+        const logger = new MemoryLogger()
+        unregister = registerExceptionExtractor(
+            HTTPError, e => ({status: e.status}))
+        writeTraceback(new HTTPError(503), logger)
+        assertContainsFields(
+            logger.messages[0],
+            {message_type: 'eliot_js:traceback',
+             status: 503})
+        logger.validate()
+    })
+
+    /** @test {registerExceptionExtractor} */
+    it('can be removed', function() {
+        const logger = new MemoryLogger()
+        registerExceptionExtractor(HTTPError, e => ({status: e.status}))()
+        writeTraceback(new HTTPError(503), logger)
+        assert.notProperty(logger.messages[0], 'status')
+    })
+})
+
+
+const causedBy = (message, cause) => {
+    const error = new Error(message)
+    error.cause = cause
+    return error
+}
+
+
+const aggregate = (errors, message) => {
+    if (typeof AggregateError !== 'undefined') {
+        return new AggregateError(errors, message)
+    }
+    const error = new Error(message)
+    error.name = 'AggregateError'
+    error.errors = errors
+    return error
+}
+
+
+describe('_causeFields', function() {
+    /** @test {_causeFields} */
+    it('returns no fields for an error without causes', function() {
+        assert.deepEqual(_causeFields(new Error('Nope')), {})
+        assert.deepEqual(_causeFields('Nope'), {})
+    })
+
+    /** @test {_causeFields} */
+    it('describes each link in the causal chain', function() {
+        const root = new TypeError('Root'),
+              fields = _causeFields(
+                  causedBy('Outer', causedBy('Middle', root)))
+        assert.deepEqual(
+            fields.eliot_causes.map(d => [d.exception, d.reason]),
+            [['Error', 'Error: Middle'],
+             ['TypeError', 'TypeError: Root']])
+        assert.isString(fields.eliot_causes[0].traceback)
+        assert.notStrictEqual(fields.eliot_causes[0].traceback, '')
+        assert.notProperty(fields.eliot_causes[0], 'eliot_causes')
+    })
+
+    /** @test {_causeFields} */
+    it('ignores null causes', function() {
+        assert.deepEqual(_causeFields(causedBy('Outer', null)), {})
+        assert.deepEqual(
+            _causeFields(causedBy('Outer', causedBy('Inner', null)))
+                .eliot_causes.map(d => d.reason),
+            ['Error: Inner'])
+    })
+
+    /** @test {_causeFields} */
+    it('describes causes that are not errors', function() {
+        assertContainsFields(
+            _causeFields(causedBy('Outer', 'a string')).eliot_causes[0],
+            {exception: 'String',
+             reason: 'a string',
+             traceback: ''})
+    })
+
+    /** @test {_causeFields} */
+    it('stops at cycles', function() {
+        const a = new Error('A'),
+              b = causedBy('B', a)
+        a.cause = b
+        assert.deepEqual(
+            _causeFields(a).eliot_causes.map(d => d.reason), ['Error: B'])
+    })
+
+    /** @test {_causeFields} */
+    it('describes aggregated errors and their causes', function() {
+        const fields = _causeFields(aggregate(
+            [new Error('One'), causedBy('Two', new Error('Three'))],
+            'All failed'))
+        assert.deepEqual(
+            fields.eliot_errors.map(d => d.reason), ['Error: One', 'Error: Two'])
+        assert.deepEqual(
+            fields.eliot_errors[1].eliot_causes.map(d => d.reason), ['Error: Three'])
+    })
+
+    /** @test {_causeFields} */
+    it('ignores errors arrays of other errors', function() {
+        const error = new Error('Invalid')
+        error.errors = [new Error('One')]
+        assert.deepEqual(_causeFields(error), {})
+    })
+
+    /** @test {_causeFields} */
+    it('describes a native AggregateError', function() {
+        if (typeof AggregateError === 'undefined') {
+            this.skip()
+        }
+        const fields = _causeFields(
+            new AggregateError([new Error('One')], 'All failed'))
+        assert.deepEqual(fields.eliot_errors.map(d => d.reason), ['Error: One'])
+    })
+})
+
+
+describe('_causeSummary', function() {
+    /** @test {_causeSummary} */
+    it('summarizes causes and aggregated errors by reason', function() {
+        assert.deepEqual(
+            _causeSummary(causedBy(
+                'Outer', aggregate([new Error('One')], 'Inner'))),
+            {eliot_causes: ['AggregateError: Inner']})
+        assert.deepEqual(
+            _causeSummary(aggregate([new Error('One')], 'Inner')),
+            {eliot_errors: ['Error: One']})
+        assert.deepEqual(_causeSummary(new Error('Nope')), {})
+    })
+
+    /** @test {Action#finish} */
+    it('is included in action failure messages', function() {
+        const logger = new MemoryLogger(),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        action.finish(causedBy('Outer', new Error('Inner')))
+        assertContainsFields(
+            logger.messages[0],
+            {action_status: 'failed',
+             reason: 'Error: Outer',
+             eliot_causes: ['Error: Inner']})
+    })
+})
@@ -0,0 +1,199 @@
+import {assert} from 'chai'
+
+import {JSONEncoder,
+        configureJSONEncoder,
+        encodeJSON,
+        registerJSONType} from '../src/json'
+
+
+class Point {
+    constructor(x, y) {
+        this.x = x
+        this.y = y
+    }
+}
+
+
+class Point3D extends Point {}
+
+
+/** @test {JSONEncoder} */
+describe('JSONEncoder', function() {
+    const toJSON = (value, opt) => new JSONEncoder(opt).toJSON(value)
+
+    describe('#toJSON', function() {
+        /** @test {JSONEncoder#toJSON} */
+        it('leaves JSON values unchanged', function() {
+            const value = {a: [1, 'two', true, null, {b: 2.5}]}
+            assert.deepEqual(toJSON(value), value)
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('replaces circular references', function() {
+            const value = {a: 1, list: []}
+            value.self = value
+            value.list.push(value.list)
+            assert.deepEqual(
+                toJSON(value),
+                {a: 1, list: ['[Circular]'], self: '[Circular]'})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('encodes repeated references that are not circular', function() {
+            const shared = {a: 1}
+            assert.deepEqual(toJSON([shared, shared]), [{a: 1}, {a: 1}])
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('converts collections', function() {
+            assert.deepEqual(
+                toJSON({set: new Set([1, 2]),
+                        map: new Map([['a', 1], [2, new Set(['b'])]])}),
+                {set: [1, 2], map: {a: 1, '2': ['b']}})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('converts dates', function() {
+            assert.deepEqual(
+                toJSON([new Date(0), new Date(NaN)]),
+                ['1970-01-01T00:00:00.000Z', null])
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('converts binary data', function() {
+            const bytes = new Uint8Array([1, 2, 3])
+            assert.deepEqual(
+                toJSON({buffer: Buffer.from('hi'),
+                        typed: new Int16Array([-1, 2]),
+                        arrayBuffer: bytes.buffer,
+                        view: new DataView(bytes.buffer, 1)}),
+                {buffer: 'aGk=',
+                 typed: [-1, 2],
+                 arrayBuffer: [1, 2, 3],
+                 view: [2, 3]})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('converts errors with their causes and properties', function() {
+            const error = new TypeError('Nope')
+            error.cause = new Error('Root')
+            error.status = 500
+            assert.deepEqual(
+                toJSON(error),
+                {name: 'TypeError',
+                 message: 'Nope',
+                 cause: {name: 'Error', message: 'Root'},
+                 status: 500})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('converts BigInt, special numbers and undefined', function() {
+            if (typeof BigInt === 'undefined') {
+                this.skip()
+            }
+            assert.deepEqual(
+                toJSON({big: BigInt('12345678901234567890'),
+                        nan: NaN,
+                        missing: undefined,
+                        f: () => null,
+                        list: [undefined]}),
+                {big: '12345678901234567890', nan: null, list: [null]})
+            assert.isNull(toJSON(undefined))
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('uses toJSON methods', function() {
+            assert.deepEqual(
+                toJSON({a: {toJSON: () => new Set([1])}}), {a: [1]})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('limits depth', function() {
+            assert.deepEqual(
+                toJSON({a: {b: {c: 1}}, d: 2}, {maxDepth: 2}),
+                {a: {b: '[MaxDepth]'}, d: 2})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('limits the number of items', function() {
+            assert.deepEqual(
+                toJSON({list: [1, 2, 3], object: {a: 1, b: 2, c: 3}},
+                       {maxItems: 2}),
+                {list: [1, 2, '[1 more items]'],
+                 object: {a: 1, b: 2, '[truncated]': 1}})
+        })
+
+        /** @test {JSONEncoder#toJSON} */
+        it('replaces values whose toJSON or getters throw', function() {
+            const throwing = {get x() { throw new Error('Nope') }}
+            assert.deepEqual(
+                toJSON([{toJSON() { throw new Error('Nope') }}, throwing, 1]),
+                ['[Unconvertible]', '[Unconvertible]', 1])
+        })
+    })
+
+    describe('#register', function() {
+        /** @test {JSONEncoder#register} */
+        it('converts instances of registered types and subclasses', function() {
+            const encoder = new JSONEncoder()
+            encoder.register(Point, p => [p.x, p.y])
+            assert.deepEqual(
+                encoder.toJSON({a: new Point(1, 2), b: new Point3D(3, 4)}),
+                {a: [1, 2], b: [3, 4]})
+        })
+
+        /** @test {JSONEncoder#register} */
+        it('replaces values whose conversion throws', function() {
+            const encoder = new JSONEncoder()
+            encoder.register(Point, p => { throw new Error('Nope') })
+            assert.deepEqual(encoder.toJSON({a: new Point(1, 2), b: 1}),
+                             {a: '[Unconvertible]', b: 1})
+        })
+    })
+
+    describe('#encode', function() {
+        /** @test {JSONEncoder#encode} */
+        it('encodes values as JSON', function() {
+            const value = {a: 1}
+            value.self = value
+            assert.strictEqual(
+                new JSONEncoder().encode(value),
+                '{"a":1,"self":"[Circular]"}')
+        })
+    })
+})
+
+
+describe('encodeJSON', function() {
+    let unregister = null
+
+    afterEach(function() {
+        if (unregister !== null) {
+            unregister()
+            unregister = null
+        }
+    })
+
+    /** @test {registerJSONType} */
+    it('uses registered types', function() {
+        unregister = registerJSONType(Point, p => `${p.x},${p.y}`)
+        assert.strictEqual(encodeJSON([new Point(1, 2)]), '["1,2"]')
+    })
+
+    /** @test {registerJSONType} */
+    it('stops using types once they are unregistered', function() {
+        registerJSONType(Point, p => `${p.x},${p.y}`)()
+        assert.strictEqual(encodeJSON([new Point(1, 2)]), '[{"x":1,"y":2}]')
+    })
+
+    /** @test {configureJSONEncoder} */
+    it('uses the configured limits', function() {
+        const restore = configureJSONEncoder({maxItems: 1})
+        try {
+            assert.strictEqual(encodeJSON([1, 2]), '[1,"[1 more items]"]')
+        } finally {
+            restore()
+        }
+        assert.strictEqual(encodeJSON([1, 2]), '[1,2]')
+    })
+})
@@ -87,6 +87,16 @@ describe('Message', function() {
             assert.strictEqual(messages[0].key, 1234)
         })
 
+        /** @test {Message#write} */
+        it("writes to the action's logger if none is given", function() {
+            const logger = new MemoryLogger(),
+                  action = new Action(
+                      logger, 'unique', new TaskLevel([]), 'sys:thename')
+            action.run(() => Message.create({key: 1}).write())
+            Message.create({key: 2}).write(null, action)
+            assert.deepEqual(logger.messages.map(m => m.key), [1, 2])
+        })
+
         /** @test {Message#write} */
         it('creates a new object on each call', function() {
             const msg = Message.create({key: 4}),
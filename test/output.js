@@ -1,8 +1,14 @@
 import {assert} from 'chai'
+import {startAction, startTask} from '../src/action'
 import {MemoryLogger,
         Logger,
         Destinations,
-        _DestinationsSendError} from '../src/output'
+        _DestinationsSendError,
+        _destinations,
+        configureBuffering,
+        createLogger} from '../src/output'
+import {configureRedaction, drop, mask} from '../src/redaction'
+import {configureTruncation} from '../src/truncation'
 import {BoundField,
         _MessageSerializer,
         ValidationError} from '../src/validation'
@@ -70,6 +76,31 @@ describe('MemoryLogger', function() {
     })
 
     describe('#serialize', function() {
+        /** @test {MemoryLogger#serialize} */
+        it('redacts sensitive fields unless asked not to', function() {
+            const logger = new MemoryLogger(),
+                  serializer = new _MessageSerializer(
+                      [BoundField.forValue('message_type', 'mymessage', 'Type'),
+                       BoundField.forTypes('token', ['string'], 'Token')
+                           .sensitive(mask())]),
+                  remove = configureRedaction({password: drop()})
+            try {
+                logger.write({message_type: 'mymessage', token: 'abc'},
+                             serializer)
+                logger.write({password: 'hunter2'}, null)
+                assert.deepEqual(
+                    logger.serialize(),
+                    [{message_type: 'mymessage', token: '***'}, {}])
+                assert.deepEqual(
+                    logger.serialize({redact: false}),
+                    [{message_type: 'mymessage', token: 'abc'},
+                     {password: 'hunter2'}])
+                assert.deepEqual(logger.messages[1], {password: 'hunter2'})
+            } finally {
+                remove()
+            }
+        })
+
         /** @test {MemoryLogger#serialize} */
         it('returns serialized log messages', function() {
             const serializer = new _MessageSerializer(
@@ -243,6 +274,571 @@ describe('Destinations', function() {
         destinations.send({z: 789})
         assert.deepEqual(dest, [{x: 456, y: 'hello', z: 789}])
     })
+
+    it('global fields never replace identifying fields', function() {
+        const destinations = new Destinations(),
+              dest = []
+        destinations.add(Array.prototype.push.bind(dest))
+        destinations.addGlobalFields({task_uuid: 'nope',
+                                      message_type: 'nope',
+                                      x: 1})
+        destinations.send({task_uuid: 'abc', message_type: 'hello'})
+        assert.deepEqual(
+            dest, [{task_uuid: 'abc', message_type: 'hello', x: 1}])
+    })
+
+    describe('enrichers', function() {
+        /** @test {Destinations#addEnricher} */
+        it('add computed fields to each message', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            let n = 0
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.addGlobalFields({x: 1})
+            destinations.addEnricher(message => ({n: n++, x: message.x + 1}))
+            destinations.send({a: 1})
+            destinations.send({a: 2})
+            assert.deepEqual(dest, [{a: 1, n: 0, x: 2},
+                                    {a: 2, n: 1, x: 2}])
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('never add or replace identifying fields', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.addEnricher(() => ({task_uuid: 'nope',
+                                             task_level: [9],
+                                             timestamp: 0,
+                                             message_type: 'nope',
+                                             action_type: 'nope',
+                                             action_status: 'nope',
+                                             x: 1}))
+            destinations.send({task_uuid: 'abc',
+                               task_level: [1],
+                               timestamp: 123,
+                               action_type: 'act',
+                               action_status: 'started'})
+            assert.deepEqual(dest, [{task_uuid: 'abc',
+                                     task_level: [1],
+                                     timestamp: 123,
+                                     action_type: 'act',
+                                     action_status: 'started',
+                                     x: 1}])
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('failing enrichers contribute no fields', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.addEnricher(() => {
+                throw new Error('Nope')
+            })
+            destinations.addEnricher(() => ({x: 1}))
+            destinations.send({a: 1})
+            assert.deepEqual(dest, [{a: 1, x: 1}])
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('can be removed', function() {
+            const destinations = new Destinations(),
+                  dest = [],
+                  remove = destinations.addEnricher(() => ({x: 1}))
+            destinations.add(Array.prototype.push.bind(dest))
+            remove()
+            remove()
+            destinations.send({a: 1})
+            assert.deepEqual(dest, [{a: 1}])
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('enrich buffered messages when they are sent', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            let n = 0
+            destinations.addEnricher(() => ({n: n++}))
+            destinations.send({a: 1})
+            n = 10
+            destinations.add(Array.prototype.push.bind(dest))
+            assert.deepEqual(dest, [{a: 1, n: 0}])
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('enrich messages before redaction and truncation', function() {
+            const destinations = new Destinations(),
+                  logger = new Logger(destinations),
+                  dest = [],
+                  removeRedaction = configureRedaction({password: drop()}),
+                  removeTruncation = configureTruncation({maxStringLength: 2})
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.addEnricher(() => ({password: 'hunter2', x: 'abc'}))
+            try {
+                logger.write({a: 1})
+            } finally {
+                removeRedaction()
+                removeTruncation()
+            }
+            assert.deepEqual(dest[0], {a: 1, x: 'ab[1 more characters]'})
+        })
+
+        /** @test {Destinations#addEnricher} */
+        it('enrich messages written by a logger once', function() {
+            const destinations = new Destinations(),
+                  logger = new Logger(destinations),
+                  dest = []
+            let n = 0
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.addEnricher(() => ({n: n++}))
+            logger.write({a: 1})
+            assert.deepEqual(dest, [{a: 1, n: 0}])
+            assert.strictEqual(n, 1)
+        })
+    })
+
+    describe('filters', function() {
+        /** @test {Destinations#add} */
+        it('only sends matching messages to a destination', function() {
+            const destinations = new Destinations(),
+                  audit = [],
+                  all = []
+            destinations.add(x => audit.push(x), {actionType: 'audit:*'})
+            destinations.add(x => all.push(x))
+            destinations.send({action_type: 'audit:login'})
+            destinations.send({message_type: 'app:other'})
+            assert.deepEqual(audit, [{action_type: 'audit:login'}])
+            assert.deepEqual(
+                all,
+                [{action_type: 'audit:login'}, {message_type: 'app:other'}])
+        })
+
+        /** @test {Destinations#add} */
+        it('accepts predicates', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add(x => dest.push(x), m => m.a > 1)
+            destinations.send({a: 1})
+            destinations.send({a: 2})
+            assert.deepEqual(dest, [{a: 2}])
+        })
+
+        /** @test {Destinations#add} */
+        it('evaluates each filter once per message', function() {
+            const destinations = new Destinations(),
+                  seen = [],
+                  message = {a: 1}
+            destinations.add(x => null, m => seen.push(m))
+            destinations.add(x => null)
+            destinations.send(message)
+            assert.strictEqual(seen.length, 1)
+            assert.strictEqual(seen[0], message)
+        })
+
+        /** @test {Destinations#add} */
+        it('applies to buffered messages', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.send({a: 1})
+            destinations.send({a: 2})
+            destinations.add(x => dest.push(x), m => m.a > 1)
+            assert.deepEqual(dest, [{a: 2}])
+        })
+
+        /** @test {Destinations#send} */
+        it('reports failing filters', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add(x => null, m => { throw new Error('Nope') })
+            destinations.add(x => dest.push(x))
+            assert.throws(
+                () => destinations.send({a: 1}), _DestinationsSendError)
+            assert.deepEqual(dest, [{a: 1}])
+        })
+
+        /** @test {Destinations#remove} */
+        it('are removed with their destination', function() {
+            const destinations = new Destinations(),
+                  dest = x => null,
+                  remove = destinations.add(dest, {actionType: 'audit:*'})
+            remove()
+            assert.deepEqual(destinations._registrations, [])
+        })
+
+        /** @test {Destinations#add} */
+        it('apply to each registration of a destination', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  dest = [],
+                  fn = Array.prototype.push.bind(dest),
+                  removeAudit = destinations.add(fn, {actionType: 'audit:*'})
+            destinations.add(fn, {messageType: 'app:*'})
+            destinations.send({action_type: 'audit:login'})
+            destinations.send({message_type: 'app:other'})
+            destinations.send({message_type: 'other'})
+            assert.deepEqual(dest, [{action_type: 'audit:login'},
+                                    {message_type: 'app:other'}])
+            removeAudit()
+            destinations.send({action_type: 'audit:login'})
+            destinations.send({message_type: 'app:other'})
+            assert.deepEqual(dest.slice(2), [{message_type: 'app:other'}])
+        })
+    })
+
+    describe('health', function() {
+        const failing = () => {
+            const state = {failing: true, written: []}
+            state.destination = function failingDestination(message) {
+                if (state.failing) {
+                    throw new Error('Disk full')
+                }
+                state.written.push(message)
+            }
+            return state
+        }
+
+        const sendAll = (destinations, n) => {
+            for (let i = 0; i < n; ++i) {
+                try {
+                    destinations.send({i})
+                } catch (e) {
+                    // Reported failures are covered separately.
+                }
+            }
+        }
+
+        /** @test {Destinations#health} */
+        it('reports delivery statistics per destination', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  bad = failing(),
+                  good = x => null
+            destinations.add(good)
+            destinations.add(bad.destination)
+            sendAll(destinations, 2)
+            const [goodHealth, badHealth] = destinations.health()
+            assertContainsFields(
+                goodHealth,
+                {destination: good,
+                 sent: 2,
+                 failures: 0,
+                 disabled: false})
+            assertContainsFields(
+                badHealth,
+                {destination: bad.destination,
+                 sent: 0,
+                 failures: 2,
+                 consecutiveFailures: 2,
+                 disabled: false})
+            assert.strictEqual(badHealth.lastError.message, 'Disk full')
+            assert.isNumber(badHealth.lastFailure)
+        })
+
+        /** @test {Destinations#send} */
+        it('only reports the first of consecutive failures', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  bad = failing(),
+                  thrown = []
+            destinations.add(bad.destination)
+            for (let i = 0; i < 3; ++i) {
+                try {
+                    destinations.send({i})
+                } catch (e) {
+                    thrown.push(e)
+                }
+            }
+            assert.strictEqual(thrown.length, 1)
+            assert.instanceOf(thrown[0], _DestinationsSendError)
+        })
+
+        /** @test {Destinations#send} */
+        it('disables destinations that keep failing', function() {
+            const destinations = new Destinations(
+                      {bufferLimit: 0, failureThreshold: 3, probeInterval: 60}),
+                  bad = failing(),
+                  dest = []
+            destinations.add(x => dest.push(x))
+            destinations.add(bad.destination)
+            sendAll(destinations, 5)
+            assertContainsFields(
+                dest[3],
+                {message_type: 'eliot_js:destination_disabled',
+                 destination: 'failingDestination',
+                 reason: 'Error: Disk full',
+                 exception: 'Error',
+                 failures: 3})
+            assertContainsFields(
+                destinations.health()[1],
+                {failures: 3, disabled: true, dropped: 3})
+        })
+
+        /** @test {Destinations#send} */
+        it('probes and re-enables disabled destinations', function() {
+            const destinations = new Destinations(
+                      {bufferLimit: 0, failureThreshold: 2, probeInterval: 60}),
+                  bad = failing(),
+                  dest = []
+            destinations.add(x => dest.push(x))
+            destinations.add(bad.destination)
+            sendAll(destinations, 3)
+            assert.isTrue(destinations.health()[1].disabled)
+            destinations._health.get(bad.destination).probeAt = 0
+            bad.failing = false
+            destinations.send({i: 3})
+            assert.deepEqual(bad.written[0], {i: 3})
+            assertContainsFields(
+                bad.written[1],
+                {message_type: 'eliot_js:destination_recovered',
+                 destination: 'failingDestination',
+                 failures: 2,
+                 dropped: 2})
+            assertContainsFields(
+                destinations.health()[1],
+                {consecutiveFailures: 0, disabled: false, sent: 2})
+        })
+
+        /** @test {Destinations#send} */
+        it('reports recovery when disabled by a single failure', function() {
+            const destinations = new Destinations(
+                      {bufferLimit: 0, failureThreshold: 1}),
+                  bad = failing(),
+                  dest = []
+            destinations.add(x => dest.push(x))
+            destinations.add(bad.destination)
+            sendAll(destinations, 1)
+            assert.isTrue(destinations.health()[1].disabled)
+            destinations._health.get(bad.destination).probeAt = 0
+            bad.failing = false
+            destinations.send({i: 1})
+            assertContainsFields(
+                bad.written[1],
+                {message_type: 'eliot_js:destination_recovered',
+                 destination: 'failingDestination',
+                 failures: 1,
+                 dropped: 1})
+        })
+
+        /** @test {Destinations#send} */
+        it('counts asynchronous failures', function() {
+            const destinations = new Destinations(
+                      {bufferLimit: 0, failureThreshold: 2}),
+                  dest = []
+            destinations.add(x => dest.push(x))
+            destinations.add({write: x => Promise.reject(new Error('Nope'))})
+            destinations.send({a: 1})
+            destinations.send({a: 2})
+            return destinations.flush().then(() => {
+                const types = dest.map(m => m.message_type)
+                assert.strictEqual(
+                    types.filter(t => t === 'eliot_js:destination_failure')
+                        .length,
+                    1)
+                assert.include(types, 'eliot_js:destination_disabled')
+                assert.isTrue(destinations.health()[1].disabled)
+            })
+        })
+    })
+
+    describe('asynchronous destinations', function() {
+        const deferred = () => {
+            const d = {}
+            d.promise = new Promise((resolve, reject) => {
+                d.resolve = resolve
+                d.reject = reject
+            })
+            return d
+        }
+
+        /** @test {Destinations#send} */
+        it('writes to objects implementing IDestination', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add({write: message => { dest.push(message) }})
+            destinations.send({a: 1})
+            assert.deepEqual(dest, [{a: 1}])
+        })
+
+        /** @test {Destinations#flush} */
+        it('flush waits for pending writes and flushes destinations', function() {
+            const destinations = new Destinations(),
+                  d = deferred(),
+                  events = []
+            destinations.add({
+                write: message => d.promise.then(() => events.push(message)),
+                flush: () => events.push('flush')})
+            destinations.send({a: 1})
+            const flushed = destinations.flush().then(() => {
+                assert.deepEqual(events, ['flush', {a: 1}])
+            })
+            d.resolve()
+            return flushed
+        })
+
+        /** @test {Destinations#flush} */
+        it('flush settles writes that wait for the flush', function() {
+            const destinations = new Destinations(),
+                  d = deferred(),
+                  events = []
+            destinations.add({
+                write: message => d.promise.then(() => events.push(message)),
+                flush: () => d.resolve()})
+            destinations.send({a: 1})
+            return destinations.flush().then(() => {
+                assert.deepEqual(events, [{a: 1}])
+            })
+        })
+
+        /** @test {Destinations#flush} */
+        it('flush rejects if a destination fails to flush', function() {
+            const destinations = new Destinations(),
+                  error = new Error('Nope')
+            destinations.add({write: x => null,
+                              flush: () => Promise.reject(error)})
+            return destinations.flush().then(
+                () => assert.fail('Expected a rejection'),
+                e => {
+                    assert.instanceOf(e, _DestinationsSendError)
+                    assert.deepEqual(e.errors, [error])
+                })
+        })
+
+        /** @test {Destinations#close} */
+        it('close waits for pending writes and closes destinations', function() {
+            const destinations = new Destinations(),
+                  events = [],
+                  fn = Array.prototype.push.bind(events)
+            destinations.add({
+                write: message => Promise.resolve().then(() => fn(message)),
+                close: () => fn('close')})
+            destinations.add(fn)
+            destinations.send({a: 1})
+            return destinations.close().then(() => {
+                assert.sameDeepMembers(events, [{a: 1}, {a: 1}, 'close'])
+                destinations.send({b: 2})
+                assert.strictEqual(events.length, 3)
+            })
+        })
+
+        /** @test {Destinations#send} */
+        it('reports failed asynchronous writes', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.add({write: message => Promise.reject(
+                new TypeError('Nope'))})
+            destinations.send({a: 1})
+            return destinations.flush().then(() => {
+                assert.strictEqual(dest.length, 2)
+                assertContainsFields(
+                    dest[1],
+                    {message_type: 'eliot_js:destination_failure',
+                     reason: 'TypeError: Nope',
+                     exception: 'TypeError',
+                     message: JSON.stringify({a: 1})})
+            })
+        })
+    })
+
+    describe('buffering', function() {
+        /** @test {Destinations#add} */
+        it('delivers messages sent before the first destination', function() {
+            const destinations = new Destinations(),
+                  dest = [],
+                  dest2 = []
+            destinations.send({a: 1})
+            destinations.send({b: 2})
+            destinations.add(Array.prototype.push.bind(dest))
+            destinations.add(Array.prototype.push.bind(dest2))
+            destinations.send({c: 3})
+            assert.deepEqual(dest, [{a: 1}, {b: 2}, {c: 3}])
+            assert.deepEqual(dest2, [{c: 3}])
+        })
+
+        /** @test {Destinations#add} */
+        it('reports discarded messages', function() {
+            const destinations = new Destinations({bufferLimit: 2}),
+                  dest = []
+            destinations.addGlobalFields({x: 1})
+            destinations.send({a: 1})
+            destinations.send({b: 2})
+            destinations.send({c: 3})
+            destinations.add(Array.prototype.push.bind(dest))
+            assert.strictEqual(dest.length, 3)
+            assertContainsFields(
+                dest[0],
+                {message_type: 'eliot_js:buffer_overflow',
+                 dropped: 1,
+                 x: 1})
+            assert.deepEqual(dest.slice(1), [{b: 2, x: 1}, {c: 3, x: 1}])
+        })
+
+        /** @test {Destinations#add} */
+        it('ignores destination errors while replaying', function() {
+            const destinations = new Destinations(),
+                  [result, dest] = badDestination()
+            destinations.send({a: 1})
+            destinations.send({b: 2})
+            destinations.add(dest)
+            assert.deepEqual(result, [{b: 2}])
+        })
+
+        /** @test {Destinations#stopBuffering} */
+        it('can be stopped', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.send({a: 1})
+            destinations.stopBuffering()
+            destinations.send({b: 2})
+            destinations.add(Array.prototype.push.bind(dest))
+            assert.deepEqual(dest, [])
+        })
+
+        /** @test {Destinations#configureBuffering} */
+        it('can change the limit', function() {
+            const destinations = new Destinations({bufferLimit: 2}),
+                  dest = []
+            destinations.configureBuffering({limit: 3})
+            destinations.send({a: 1})
+            destinations.send({b: 2})
+            destinations.send({c: 3})
+            destinations.configureBuffering({limit: 1})
+            destinations.add(Array.prototype.push.bind(dest))
+            assertContainsFields(
+                dest[0],
+                {message_type: 'eliot_js:buffer_overflow',
+                 dropped: 2})
+            assert.deepEqual(dest.slice(1), [{c: 3}])
+        })
+
+        /** @test {Destinations#configureBuffering} */
+        it('can be stopped by configuring no limit', function() {
+            const destinations = new Destinations(),
+                  dest = []
+            destinations.send({a: 1})
+            destinations.configureBuffering({limit: 0})
+            destinations.send({b: 2})
+            destinations.add(Array.prototype.push.bind(dest))
+            assert.deepEqual(dest, [])
+        })
+
+        /** @test {configureBuffering} */
+        it('can be configured for the global destinations', function() {
+            const calls = []
+            _destinations.configureBuffering = (...args) => calls.push(args)
+            try {
+                configureBuffering({limit: 5})
+            } finally {
+                delete _destinations.configureBuffering
+            }
+            assert.deepEqual(calls, [[{limit: 5}]])
+        })
+
+        /** @test {Destinations} */
+        it('can be disabled', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  dest = []
+            destinations.send({a: 1})
+            destinations.add(Array.prototype.push.bind(dest))
+            assert.deepEqual(dest, [])
+        })
+    })
 })
 
 
@@ -257,6 +853,15 @@ describe('Logger', function() {
         return [logger, written]
     }
 
+    it('writes to the destinations it was created with', function() {
+        const destinations = new Destinations(),
+              logger = new Logger(destinations),
+              written = []
+        destinations.add(x => written.push(x))
+        logger.write({hello: 1})
+        assert.deepEqual(written, [{hello: 1}])
+    })
+
     it('write sends the dictionary to the Destinations', function() {
         const [logger, written] = makeLogger(),
               d = {hello: 1}
@@ -310,6 +915,55 @@ describe('Logger', function() {
                             fail: 'yesplz'}))
     })
 
+    it('redacts messages before sending them', function() {
+        const [logger, written] = makeLogger(),
+              serializer = new _MessageSerializer(
+                  [BoundField.forValue('message_type', 'mymessage', 'The type'),
+                   BoundField.forTypes('token', ['string'], 'Token')
+                       .sensitive(mask())]),
+              remove = configureRedaction({password: drop()})
+        try {
+            logger.write({message_type: 'mymessage',
+                          token: 'abc',
+                          password: 'hunter2'},
+                         serializer)
+        } finally {
+            remove()
+        }
+        assert.deepEqual(written, [{message_type: 'mymessage', token: '***'}])
+    })
+
+    it('redacts messages that failed to serialize', function() {
+        const [logger, written] = makeLogger(),
+              raiser = () => { throw new Error('Nope') },
+              serializer = new _MessageSerializer(
+                  [BoundField.forValue('message_type', 'mymessage', 'The type'),
+                   BoundField.create('fail', raiser, 'Serialization fail'),
+                   BoundField.forTypes('token', ['string'], 'Token')
+                       .sensitive(drop())])
+        logger.write({message_type: 'mymessage', fail: 1, token: 'secret'},
+                     serializer)
+        assert.deepEqual(
+            written[1].message,
+            JSON.stringify({message_type: 'mymessage', fail: 1}))
+    })
+
+    it('serializer failures with values JSON cannot encode are logged', function() {
+        const [logger, written] = makeLogger(),
+              raiser = () => { throw new Error('Nope') },
+              serializer = new _MessageSerializer(
+                  [BoundField.forValue('message_type', 'mymessage', 'The type'),
+                   BoundField.create('fail', raiser, 'Serialization fail')]),
+              fail = {}
+        fail.self = fail
+        logger.write({message_type: 'mymessage', fail}, serializer)
+        assert.strictEqual(written.length, 2)
+        assert.deepEqual(
+            written[1].message,
+            JSON.stringify({message_type: 'mymessage',
+                            fail: {self: '[Circular]'}}))
+    })
+
     it('log destination errors', function() {
         const logger = new Logger(),
               _destinations = new Destinations(),
@@ -363,3 +1017,45 @@ describe('Logger', function() {
         logger.write({hello: 123})
     })
 })
+
+
+/** @test {createLogger} */
+describe('createLogger', function() {
+    it('creates loggers with independent destinations', function() {
+        const a = createLogger(),
+              b = createLogger(),
+              writtenA = [],
+              writtenB = []
+        a.destinations.add(x => writtenA.push(x))
+        b.destinations.add(x => writtenB.push(x))
+        a.logger.write({a: 1})
+        b.logger.write({b: 2})
+        assert.deepEqual(writtenA, [{a: 1}])
+        assert.deepEqual(writtenB, [{b: 2}])
+    })
+
+    it('routes messages written within its actions to its destinations', function() {
+        const {logger, destinations} = createLogger(),
+              written = []
+        destinations.add(x => written.push(x))
+        const action = startTask(logger, 'sys:parent')
+        action.run(() => {
+            startTask(null, 'sys:other').finish()
+            startAction(null, 'sys:child').finish()
+        })
+        action.finish()
+        assert.deepEqual(
+            written.map(m => [m.action_type, m.action_status]),
+            [['sys:parent', 'started'],
+             ['sys:child', 'started'],
+             ['sys:child', 'succeeded'],
+             ['sys:parent', 'succeeded']])
+    })
+
+    it('passes options through', function() {
+        const {logger, destinations} = createLogger(
+            {bufferLimit: 0, tracebackFormat: 'python'})
+        assert.strictEqual(logger.tracebackFormat, 'python')
+        assert.isNull(destinations._buffer)
+    })
+})
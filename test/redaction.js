@@ -0,0 +1,91 @@
+import {assert} from 'chai'
+
+import {DROPPED,
+        _redactUndeclared,
+        configureRedaction,
+        drop,
+        hmac,
+        mask} from '../src/redaction'
+import {BoundField, _MessageSerializer} from '../src/validation'
+
+
+describe('drop', function() {
+    /** @test {drop} */
+    it('drops values', function() {
+        assert.strictEqual(drop()('secret'), DROPPED)
+    })
+})
+
+
+describe('mask', function() {
+    /** @test {mask} */
+    it('masks whole values by default', function() {
+        assert.strictEqual(mask()('secret'), '******')
+    })
+
+    /** @test {mask} */
+    it('leaves trailing characters visible', function() {
+        assert.strictEqual(
+            mask({keep: 4, character: '#'})('4111111111111111'),
+            '############1111')
+    })
+
+    /** @test {mask} */
+    it('never leaves more than half of a value visible', function() {
+        assert.strictEqual(mask({keep: 4})('abcdef'), '***def')
+    })
+
+    /** @test {mask} */
+    it('masks values that are not strings', function() {
+        assert.strictEqual(mask({keep: 2})(12345678), '******78')
+    })
+})
+
+
+describe('hmac', function() {
+    /** @test {hmac} */
+    it('replaces values with their keyed digest', function() {
+        const a = hmac('key')('secret')
+        assert.match(a, /^[0-9a-f]{64}$/)
+        assert.strictEqual(hmac('key')('secret'), a)
+        assert.notStrictEqual(hmac('other')('secret'), a)
+        assert.notStrictEqual(hmac('key')('other'), a)
+    })
+})
+
+
+describe('configureRedaction', function() {
+    let remove = null
+    afterEach(function() {
+        if (remove !== null) {
+            remove()
+            remove = null
+        }
+    })
+
+    /** @test {configureRedaction} */
+    it('redacts fields by case-insensitive key name patterns', function() {
+        remove = configureRedaction({'*password*': drop(), email: mask()})
+        const message = {userPassword: 'hunter2', EMAIL: 'a@b', name: 'Bob'}
+        _redactUndeclared(message, null)
+        assert.deepEqual(message, {EMAIL: '***', name: 'Bob'})
+    })
+
+    /** @test {configureRedaction} */
+    it('leaves fields declared by the serializer alone', function() {
+        remove = configureRedaction({'*': mask()})
+        const serializer = new _MessageSerializer(
+                  [BoundField.forValue('message_type', 'mymessage', 'Type')]),
+              message = {message_type: 'mymessage', extra: 'abc'}
+        _redactUndeclared(message, serializer)
+        assert.deepEqual(message, {message_type: 'mymessage', extra: '***'})
+    })
+
+    /** @test {configureRedaction} */
+    it('can be removed', function() {
+        configureRedaction({'*': drop()})()
+        const message = {a: 1}
+        _redactUndeclared(message, null)
+        assert.deepEqual(message, {a: 1})
+    })
+})
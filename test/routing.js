@@ -0,0 +1,136 @@
+import {assert} from 'chai'
+
+import {_compileFilter, _globPattern, routeMessages} from '../src/routing'
+
+
+describe('_globPattern', function() {
+    /** @test {_globPattern} */
+    it('matches whole values with wildcards', function() {
+        const regexp = _globPattern('app:*:do?')
+        assert.isTrue(regexp.test('app:sys:dos'))
+        assert.isTrue(regexp.test('app:a:b:do1'))
+        assert.isFalse(regexp.test('app:sys:do'))
+        assert.isFalse(regexp.test('myapp:sys:dos'))
+    })
+
+    /** @test {_globPattern} */
+    it('escapes regular expression syntax', function() {
+        const regexp = _globPattern('a.b+(c)')
+        assert.isTrue(regexp.test('a.b+(c)'))
+        assert.isFalse(regexp.test('axbb(c)'))
+    })
+
+    /** @test {_globPattern} */
+    it('uses regular expressions as is', function() {
+        const regexp = /^audit/
+        assert.strictEqual(_globPattern(regexp), regexp)
+    })
+})
+
+
+describe('_compileFilter', function() {
+    const started = {action_type: 'app:login',
+                     action_status: 'started',
+                     task_uuid: 'a'},
+          succeeded = {action_type: 'app:login',
+                       action_status: 'succeeded',
+                       task_uuid: 'b'},
+          message = {message_type: 'debug:state', task_uuid: 'a'},
+          all = [started, succeeded, message],
+          matching = filter => all.filter(_compileFilter(filter))
+
+    /** @test {_compileFilter} */
+    it('accepts everything without a filter', function() {
+        assert.isNull(_compileFilter(null))
+        assert.isNull(_compileFilter(undefined))
+    })
+
+    /** @test {_compileFilter} */
+    it('uses predicates as is', function() {
+        const predicate = m => true
+        assert.strictEqual(_compileFilter(predicate), predicate)
+    })
+
+    /** @test {_compileFilter} */
+    it('filters by message and action type', function() {
+        assert.deepEqual(matching({messageType: 'debug:*'}), [message])
+        assert.deepEqual(
+            matching({actionType: ['audit:*', 'app:*']}), [started, succeeded])
+        assert.deepEqual(
+            matching({messageType: 'debug:*', actionType: 'app:*'}), all)
+        assert.deepEqual(matching({actionType: 'audit:*'}), [])
+    })
+
+    /** @test {_compileFilter} */
+    it('filters by action status and task UUID', function() {
+        assert.deepEqual(matching({actionStatus: 'started'}), [started])
+        assert.deepEqual(
+            matching({actionStatus: ['started', 'succeeded']}),
+            [started, succeeded])
+        assert.deepEqual(matching({taskUuid: 'a'}), [started, message])
+    })
+
+    /** @test {_compileFilter} */
+    it('requires every criterion to be satisfied', function() {
+        assert.deepEqual(
+            matching({taskUuid: 'a', actionType: 'app:*'}), [started])
+        assert.deepEqual(
+            matching({taskUuid: 'a', predicate: m => 'message_type' in m}),
+            [message])
+    })
+})
+
+
+describe('routeMessages', function() {
+    /** @test {routeMessages} */
+    it('writes to the first matching route', function() {
+        const audit = [],
+              debug = [],
+              rest = [],
+              destination = routeMessages([
+                  {filter: {actionType: 'audit:*'},
+                   destination: x => { audit.push(x) }},
+                  {filter: {messageType: 'debug:*'},
+                   destination: {write: x => { debug.push(x) }}},
+                  {filter: null, destination: x => { rest.push(x) }}])
+        destination.write({action_type: 'audit:login'})
+        destination.write({message_type: 'debug:state'})
+        destination.write({message_type: 'app:other'})
+        assert.deepEqual(audit, [{action_type: 'audit:login'}])
+        assert.deepEqual(debug, [{message_type: 'debug:state'}])
+        assert.deepEqual(rest, [{message_type: 'app:other'}])
+    })
+
+    /** @test {routeMessages} */
+    it('drops messages matching no route', function() {
+        const written = [],
+              destination = routeMessages([
+                  {filter: {actionType: 'audit:*'},
+                   destination: x => { written.push(x) }}])
+        assert.isUndefined(destination.write({message_type: 'app:other'}))
+        assert.deepEqual(written, [])
+    })
+
+    /** @test {routeMessages} */
+    it('returns the result of asynchronous writes', function() {
+        const destination = routeMessages([
+            {filter: null, destination: {write: x => Promise.resolve(x)}}])
+        return destination.write({a: 1}).then(
+            result => assert.deepEqual(result, {a: 1}))
+    })
+
+    /** @test {routeMessages} */
+    it('flushes and closes each routed destination once', function() {
+        const events = [],
+              shared = {write: x => null,
+                        flush: () => { events.push('flush') },
+                        close: () => { events.push('close') }},
+              destination = routeMessages([
+                  {filter: {actionType: 'audit:*'}, destination: shared},
+                  {filter: null, destination: shared},
+                  {filter: null, destination: x => null}])
+        return destination.flush()
+            .then(() => destination.close())
+            .then(() => assert.deepEqual(events, ['flush', 'close']))
+    })
+})
@@ -0,0 +1,168 @@
+import {assert} from 'chai'
+
+import {Action, startAction, startTask} from '../src/action'
+import {Message} from '../src/message'
+import {MemoryLogger} from '../src/output'
+import {TaskSampler, configureSampling} from '../src/sampling'
+
+
+/**
+ * Log a task with a child action and a message.
+ *
+ * @param {MemoryLogger} logger Logger to write to.
+ * @param {string} actionType Action type of the task.
+ * @param {?Error} [error] Error to fail the child action with.
+ */
+const logTask = (logger, actionType, error=null) => {
+    const task = startTask(logger, actionType)
+    task.run(() => {
+        const child = startAction(logger, 'app:child')
+        Message.create({message_type: 'app:message'}).write()
+        child.finish(error)
+    })
+    task.finish()
+}
+
+
+describe('TaskSampler', function() {
+    describe('#_rateFor', function() {
+        /** @test {TaskSampler#_rateFor} */
+        it('uses the first matching action type pattern', function() {
+            const sampler = new TaskSampler({
+                rate: 0.5,
+                actionTypes: {'app:audit:*': 1, 'app:*': 0.1}})
+            assert.strictEqual(sampler._rateFor('app:audit:login'), 1)
+            assert.strictEqual(sampler._rateFor('app:other'), 0.1)
+            assert.strictEqual(sampler._rateFor('other'), 0.5)
+        })
+    })
+})
+
+
+describe('configureSampling', function() {
+    let stopSampling = null
+    const sample = opt => {
+        stopSampling = configureSampling(opt)
+    }
+
+    afterEach(function() {
+        if (stopSampling !== null) {
+            stopSampling()
+            stopSampling = null
+        }
+    })
+
+    /** @test {configureSampling} */
+    it('keeps or drops all messages of a task together', function() {
+        const logger = new MemoryLogger(),
+              random = [0.2, 0.7]
+        sample({rate: 0.5, random: () => random.shift()})
+        logTask(logger, 'app:kept')
+        logTask(logger, 'app:dropped')
+        assert.strictEqual(logger.messages.length, 5)
+        assert.deepEqual(
+            Array.from(new Set(logger.messages.map(m => m.task_uuid))),
+            [logger.messages[0].task_uuid])
+        assert.strictEqual(logger.messages[0].action_type, 'app:kept')
+    })
+
+    /** @test {configureSampling} */
+    it('decides once per task', function() {
+        const logger = new MemoryLogger()
+        let calls = 0
+        sample({random: () => { calls++; return 0 }})
+        logTask(logger, 'app:task')
+        assert.strictEqual(calls, 1)
+    })
+
+    /** @test {configureSampling} */
+    it('samples by action type', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0, actionTypes: {'app:audit:*': 1}})
+        logTask(logger, 'app:audit:login')
+        logTask(logger, 'app:other')
+        assert.strictEqual(logger.messages.length, 5)
+        assert.strictEqual(logger.messages[0].action_type, 'app:audit:login')
+    })
+
+    /** @test {configureSampling} */
+    it('always keeps messages outside of actions', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0})
+        Message.create({message_type: 'app:message'}).write(logger)
+        assert.strictEqual(logger.messages.length, 1)
+    })
+
+    /** @test {configureSampling} */
+    it('keeps failed tasks once their root action finishes', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0, keepFailed: true})
+        logTask(logger, 'app:succeeded')
+        assert.deepEqual(logger.messages, [])
+        const task = startTask(logger, 'app:failed')
+        task.run(
+            () => startAction(logger, 'app:child').finish(new Error('Nope')))
+        assert.deepEqual(logger.messages, [])
+        task.finish()
+        assert.deepEqual(
+            logger.messages.map(m => [m.action_type, m.action_status]),
+            [['app:failed', 'started'],
+             ['app:child', 'started'],
+             ['app:child', 'failed'],
+             ['app:failed', 'succeeded']])
+    })
+
+    /** @test {configureSampling} */
+    it('drops failed tasks that exceed the buffer limit', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0, keepFailed: true, maxBuffered: 3})
+        logTask(logger, 'app:failed', new Error('Nope'))
+        assert.deepEqual(logger.messages, [])
+    })
+
+    /** @test {Action#serializeTaskId} */
+    it('leaves serialized task identifiers unchanged', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 1})
+        const task = startTask(logger, 'app:task')
+        assert.match(task.serializeTaskId(), /^[^@]+@\/2$/)
+    })
+
+    /** @test {Action#samplingDecision} */
+    it('exposes the decision for continuations of the task', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0})
+        const task = startTask(logger, 'app:task'),
+              taskId = task.serializeTaskId(),
+              sampled = task.samplingDecision()
+        assert.isFalse(sampled)
+        stopSampling()
+        stopSampling = null
+        Action.continueTask(taskId, logger, {sampled}).finish()
+        assert.deepEqual(logger.messages, [])
+    })
+
+    /** @test {Action#samplingDecision} */
+    it('has no decision for tasks that are not sampled', function() {
+        const task = startTask(new MemoryLogger(), 'app:task')
+        assert.isNull(task.samplingDecision())
+    })
+
+    /** @test {Action.continueTask} */
+    it('honors the decision of continued tasks', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0})
+        Action.continueTask('uuid@/1', logger, {sampled: true}).finish()
+        assert.deepEqual(
+            logger.messages.map(m => [m.task_uuid, m.task_level]),
+            [['uuid', [1, 1]], ['uuid', [1, 2]]])
+    })
+
+    /** @test {Action.continueTask} */
+    it('decides for continued tasks without a decision', function() {
+        const logger = new MemoryLogger()
+        sample({rate: 0})
+        Action.continueTask('uuid@/1', logger).finish()
+        assert.deepEqual(logger.messages, [])
+    })
+})
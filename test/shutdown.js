@@ -0,0 +1,109 @@
+import {assert} from 'chai'
+import {EventEmitter} from 'events'
+
+import {Destinations} from '../src/output'
+import {_settleWithin, installShutdownHandler} from '../src/shutdown'
+
+
+/** A stand-in for `process` that records signals it is sent. */
+class FakeProcess extends EventEmitter {
+    constructor() {
+        super()
+        this.pid = 1234
+        this.killed = []
+    }
+
+    kill(pid, signal) {
+        this.killed.push([pid, signal])
+    }
+}
+
+
+const closingDestinations = () => {
+    const destinations = new Destinations({bufferLimit: 0}),
+          events = []
+    destinations.add({write: x => null, close: () => { events.push('close') }})
+    return [destinations, events]
+}
+
+
+describe('_settleWithin', function() {
+    /** @test {_settleWithin} */
+    it('resolves when the promise settles', function() {
+        return _settleWithin(Promise.reject(new Error('Nope')), 10)
+    })
+
+    /** @test {_settleWithin} */
+    it('resolves when the timeout elapses', function() {
+        return _settleWithin(new Promise(() => null), 0.01)
+    })
+})
+
+
+describe('installShutdownHandler', function() {
+    describe('in Node', function() {
+        /** @test {installShutdownHandler} */
+        it('closes destinations before exit', function() {
+            const [destinations, events] = closingDestinations(),
+                  target = new FakeProcess(),
+                  uninstall = installShutdownHandler({destinations, target})
+            target.emit('beforeExit', 0)
+            target.emit('beforeExit', 0)
+            uninstall()
+            return destinations.close().then(() => {
+                assert.deepEqual(events, ['close'])
+            })
+        })
+
+        /** @test {installShutdownHandler} */
+        it('closes destinations and raises signals again', function() {
+            const [destinations, events] = closingDestinations(),
+                  target = new FakeProcess()
+            installShutdownHandler({destinations, target})
+            const listener = target.listeners('SIGTERM')[0]
+            return listener('SIGTERM').then(() => {
+                assert.deepEqual(events, ['close'])
+                assert.deepEqual(target.killed, [[1234, 'SIGTERM']])
+                assert.strictEqual(target.listenerCount('SIGTERM'), 0)
+                assert.strictEqual(target.listenerCount('SIGINT'), 0)
+                assert.strictEqual(target.listenerCount('beforeExit'), 0)
+            })
+        })
+
+        /** @test {installShutdownHandler} */
+        it('raises signals again when closing times out', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  target = new FakeProcess()
+            destinations.add({write: x => null,
+                              close: () => new Promise(() => null)})
+            installShutdownHandler({destinations, target, timeout: 0.01})
+            const listener = target.listeners('SIGINT')[0]
+            return listener('SIGINT').then(() => {
+                assert.deepEqual(target.killed, [[1234, 'SIGINT']])
+            })
+        })
+    })
+
+    describe('in browsers', function() {
+        /** @test {installShutdownHandler} */
+        it('flushes destinations when the page is hidden', function() {
+            const destinations = new Destinations({bufferLimit: 0}),
+                  events = [],
+                  listeners = {},
+                  target = {
+                      addEventListener: (type, f) => { listeners[type] = f },
+                      removeEventListener: (type, f) => {
+                          delete listeners[type]
+                      }}
+            destinations.add({write: x => null,
+                              flush: () => { events.push('flush') }})
+            const uninstall = installShutdownHandler({destinations, target})
+            listeners.pagehide()
+            uninstall()
+            assert.deepEqual(listeners, {})
+            return destinations.flush().then(() => {
+                assert.deepEqual(events, ['flush', 'flush'])
+            })
+        })
+    })
+})
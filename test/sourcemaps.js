@@ -0,0 +1,159 @@
+import {assert} from 'chai'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import ErrorStackParser from 'error-stack-parser'
+import {SourceMapGenerator} from 'source-map'
+
+import {MemoryLogger} from '../src/output'
+import {SourceMapResolver,
+        _readSourceMap,
+        enableSourceMaps} from '../src/sourcemaps'
+import {writeTraceback} from '../src/traceback'
+
+
+const makeSourceMap = () => {
+    const generator = new SourceMapGenerator({file: 'generated.js'})
+    generator.addMapping({generated: {line: 1, column: 10},
+                          original: {line: 12, column: 4},
+                          source: 'original.js',
+                          name: 'doThing'})
+    return generator.toJSON()
+}
+
+
+const errorWithStack = stack => {
+    const error = new Error('Nope')
+    error.stack = `Error: Nope\n${stack}`
+    return error
+}
+
+
+describe('_readSourceMap', function() {
+    let dir
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eliot-'))
+    })
+
+    afterEach(function() {
+        for (const name of fs.readdirSync(dir)) {
+            fs.unlinkSync(path.join(dir, name))
+        }
+        fs.rmdirSync(dir)
+    })
+
+    /** @test {_readSourceMap} */
+    it('reads inline source maps', function() {
+        const file = path.join(dir, 'generated.js'),
+              map = makeSourceMap(),
+              data = Buffer.from(JSON.stringify(map)).toString('base64')
+        fs.writeFileSync(
+            file,
+            `x()\n//# sourceMappingURL=data:application/json;base64,${data}\n`)
+        assert.deepEqual(_readSourceMap(file), {map, url: file})
+    })
+
+    /** @test {_readSourceMap} */
+    it('reads referenced source maps', function() {
+        const file = path.join(dir, 'generated.js'),
+              mapFile = path.join(dir, 'other.map'),
+              map = makeSourceMap()
+        fs.writeFileSync(file, 'x()\n//# sourceMappingURL=other.map\n')
+        fs.writeFileSync(mapFile, JSON.stringify(map))
+        assert.deepEqual(_readSourceMap(file), {map, url: mapFile})
+    })
+
+    /** @test {_readSourceMap} */
+    it('reads adjacent source maps', function() {
+        const file = path.join(dir, 'generated.js'),
+              map = makeSourceMap()
+        fs.writeFileSync(file, 'x()\n')
+        fs.writeFileSync(`${file}.map`, JSON.stringify(map))
+        assert.deepEqual(_readSourceMap(`file://${file}`),
+                         {map, url: `${file}.map`})
+    })
+
+    /** @test {_readSourceMap} */
+    it('returns null if there is no source map', function() {
+        const file = path.join(dir, 'generated.js')
+        fs.writeFileSync(file, 'x()\n')
+        assert.strictEqual(_readSourceMap(file), null)
+        assert.strictEqual(_readSourceMap(path.join(dir, 'missing.js')), null)
+    })
+})
+
+
+/** @test {SourceMapResolver} */
+describe('SourceMapResolver', function() {
+    const frame = () => ErrorStackParser.parse(errorWithStack(
+        '    at minified (/app/dist/generated.js:1:11)'))[0]
+
+    describe('#resolveFrame', function() {
+        /** @test {SourceMapResolver#resolveFrame} */
+        it('resolves frames to their original location', function() {
+            const resolver = new SourceMapResolver({
+                retrieveSourceMap: () => ({map: makeSourceMap(),
+                                           url: '/app/dist/generated.js.map'})}),
+                  resolved = resolver.resolveFrame(frame())
+            assert.strictEqual(resolved.fileName, '/app/dist/original.js')
+            assert.strictEqual(resolved.lineNumber, 12)
+            assert.strictEqual(resolved.columnNumber, 5)
+            assert.strictEqual(resolved.functionName, 'doThing')
+            assert.strictEqual(
+                resolved.toString(), 'doThing()@/app/dist/original.js:12:5')
+        })
+
+        /** @test {SourceMapResolver#resolveFrame} */
+        it('leaves frames without a source map unchanged', function() {
+            const resolver = new SourceMapResolver({
+                      retrieveSourceMap: () => null}),
+                  original = frame()
+            assert.strictEqual(resolver.resolveFrame(original), original)
+        })
+
+        /** @test {SourceMapResolver#resolveFrame} */
+        it('leaves frames with invalid source maps unchanged', function() {
+            const resolver = new SourceMapResolver({
+                      retrieveSourceMap: () => ({map: 'not json'})}),
+                  original = frame()
+            assert.strictEqual(resolver.resolveFrame(original), original)
+        })
+
+        /** @test {SourceMapResolver#resolveFrame} */
+        it('caches source maps per file', function() {
+            let calls = 0
+            const resolver = new SourceMapResolver({
+                retrieveSourceMap: () => {
+                    calls++
+                    return {map: makeSourceMap()}
+                }})
+            resolver.resolveFrames([frame(), frame()])
+            resolver.resolveFrame(frame())
+            assert.strictEqual(calls, 1)
+        })
+    })
+})
+
+
+describe('enableSourceMaps', function() {
+    /** @test {enableSourceMaps} */
+    it('resolves the frames of logged tracebacks', function() {
+        const logger = new MemoryLogger(),
+              error = errorWithStack(
+                  '    at minified (/app/dist/generated.js:1:11)'),
+              disable = enableSourceMaps({
+                  retrieveSourceMap: () => ({map: makeSourceMap()})})
+        try {
+            writeTraceback(error, logger)
+        } finally {
+            disable()
+        }
+        writeTraceback(error, logger)
+        assert.strictEqual(
+            logger.messages[0].traceback,
+            'doThing()@/app/dist/original.js:12:5')
+        assert.strictEqual(
+            logger.messages[1].traceback,
+            'minified()@/app/dist/generated.js:1:11')
+    })
+})
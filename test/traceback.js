@@ -1,9 +1,24 @@
 import ErrorStackParser from 'error-stack-parser'
 
-import {writeTraceback} from '../src/traceback'
+import {assert} from 'chai'
+
+import {startAction} from '../src/action'
+import {createLogger, Logger, MemoryLogger} from '../src/output'
+import {formatPythonTraceback,
+        tracebackFrames,
+        writeTraceback} from '../src/traceback'
 import {assertContainsFields, captureLogging} from '../src/testing'
 
 
+const errorWithStack = () => {
+    const error = new TypeError('Nope')
+    error.stack = `TypeError: Nope
+    at inner (/app/inner.js:3:5)
+    at /app/outer.js:10:1`
+    return error
+}
+
+
 describe('writeTraceback', function() {
     /** @test {writeTrackback} */
     it('writes the current traceback to the log',
@@ -41,4 +56,115 @@ describe('writeTraceback', function() {
             logger.flushTracebacks(Error)
         })
     })
+
+    /** @test {writeTrackback} */
+    it('writes the causal chain of the error',
+       captureLogging(this)(function(logger) {
+           const error = new Error('Outer')
+           error.cause = new TypeError('Inner')
+           writeTraceback(error, logger)
+           assertContainsFields(
+               logger.messages[0].eliot_causes[0],
+               {exception: 'TypeError',
+                reason: 'TypeError: Inner'})
+           logger.flushTracebacks(Error)
+       }))
+})
+
+
+describe('tracebackFrames', function() {
+    /** @test {tracebackFrames} */
+    it('returns frame objects, most recent call first', function() {
+        assert.deepEqual(
+            tracebackFrames(errorWithStack()),
+            [{file: '/app/inner.js', line: 3, column: 5, function: 'inner'},
+             {file: '/app/outer.js', line: 10, column: 1, function: null}])
+    })
+})
+
+
+describe('formatPythonTraceback', function() {
+    /** @test {formatPythonTraceback} */
+    it('formats the traceback like Python, most recent call last', function() {
+        assert.strictEqual(
+            formatPythonTraceback(errorWithStack()),
+            `Traceback (most recent call last):
+  File "/app/outer.js", line 10, in <anonymous>
+  File "/app/inner.js", line 3, in inner
+TypeError: Nope`)
+    })
+})
+
+
+describe('Logger traceback formats', function() {
+    /** @test {writeTraceback} */
+    it('defaults to JavaScript stack frames', function() {
+        const logger = new MemoryLogger()
+        writeTraceback(errorWithStack(), logger)
+        assert.strictEqual(
+            logger.messages[0].traceback,
+            'inner()@/app/inner.js:3:5\n{anonymous}()@/app/outer.js:10:1')
+    })
+
+    /** @test {writeTraceback} */
+    it('writes structured frames', function() {
+        const logger = new MemoryLogger({tracebackFormat: 'structured'}),
+              error = errorWithStack()
+        writeTraceback(error, logger)
+        assert.deepEqual(logger.messages[0].traceback, tracebackFrames(error))
+        logger.validate()
+    })
+
+    /** @test {writeTraceback} */
+    it('writes Python-style tracebacks', function() {
+        const logger = new MemoryLogger({tracebackFormat: 'python'}),
+              error = errorWithStack()
+        writeTraceback(error, logger)
+        assert.strictEqual(
+            logger.messages[0].traceback, formatPythonTraceback(error))
+    })
+
+    /** @test {writeTraceback} */
+    it('uses the format of the logger of the action', function() {
+        const logger = new MemoryLogger({tracebackFormat: 'python'}),
+              error = errorWithStack(),
+              action = startAction(logger, 'app:action')
+        action.run(() => writeTraceback(error))
+        assert.strictEqual(
+            logger.messages[1].traceback, formatPythonTraceback(error))
+    })
+
+    /** @test {writeTraceback} */
+    it('uses the format for causes and aggregated errors', function() {
+        const logger = new MemoryLogger({tracebackFormat: 'python'}),
+              aggregated = errorWithStack(),
+              cause = (typeof AggregateError === 'undefined'
+                       ? Object.assign(new Error('Nope'),
+                                       {name: 'AggregateError',
+                                        errors: [aggregated]})
+                       : new AggregateError([aggregated], 'Nope')),
+              error = new Error('Outer')
+        cause.stack = errorWithStack().stack
+        error.cause = cause
+        writeTraceback(error, logger)
+        const [causeDescription] = logger.messages[0].eliot_causes
+        assert.strictEqual(
+            causeDescription.traceback, formatPythonTraceback(cause))
+        assert.strictEqual(
+            causeDescription.eliot_errors[0].traceback,
+            formatPythonTraceback(aggregated))
+    })
+
+    /** @test {Logger} */
+    it('rejects unknown formats', function() {
+        assert.throws(
+            () => new MemoryLogger({tracebackFormat: 'cobol'}),
+            /Unknown traceback format: cobol/)
+        assert.throws(
+            () => new Logger(undefined, {tracebackFormat: 'cobol'}),
+            /Unknown traceback format: cobol/)
+        assert.throws(
+            () => createLogger({tracebackFormat: 'pyhton'}),
+            /Unknown traceback format: pyhton/)
+    })
 })
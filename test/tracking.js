@@ -0,0 +1,174 @@
+import {assert} from 'chai'
+
+import {Action, TaskLevel, startTask, withAction} from '../src/action'
+import {MemoryLogger} from '../src/output'
+import {assertContainsFields} from '../src/testing'
+import {ActionTracker, openActions, trackActions} from '../src/tracking'
+
+
+/** @test {ActionTracker} */
+describe('ActionTracker', function() {
+    const makeAction = logger => new Action(
+        logger, 'uuid', new TaskLevel([1]), 'sys:me')
+
+    describe('#openActions', function() {
+        /** @test {ActionTracker#openActions} */
+        it('lists started actions that have not finished', function() {
+            const tracker = new ActionTracker(),
+                  action = makeAction(new MemoryLogger())
+            tracker._started(action)
+            assert.strictEqual(tracker.openActions().length, 1)
+            assertContainsFields(
+                tracker.openActions()[0],
+                {task_uuid: 'uuid',
+                 task_level: [1],
+                 action_type: 'sys:me'})
+            assert.isNumber(tracker.openActions()[0].started)
+            tracker._finished(action)
+            assert.deepEqual(tracker.openActions(), [])
+        })
+    })
+
+    describe('#reportOpen', function() {
+        /** @test {ActionTracker#reportOpen} */
+        it('logs a leaked message within each open action', function() {
+            const logger = new MemoryLogger(),
+                  tracker = new ActionTracker(),
+                  action = makeAction(logger)
+            tracker._started(action)
+            tracker.reportOpen()
+            assertContainsFields(
+                logger.messages[0],
+                {message_type: 'eliot_js:action_leaked',
+                 reason: 'exit',
+                 leaked_action_type: 'sys:me',
+                 task_uuid: 'uuid',
+                 task_level: [1, 1]})
+        })
+
+        /** @test {ActionTracker#reportOpen} */
+        it('logs to the given logger', function() {
+            const logger = new MemoryLogger(),
+                  tracker = new ActionTracker({logger})
+            tracker._started(makeAction(new MemoryLogger()))
+            tracker.reportOpen()
+            assert.strictEqual(logger.messages.length, 1)
+        })
+    })
+
+    /** @test {ActionTracker} */
+    it('reports actions still open after the timeout', function(done) {
+        const logger = new MemoryLogger(),
+              tracker = new ActionTracker({timeout: 0.001}),
+              action = makeAction(logger)
+        tracker._started(action)
+        setTimeout(() => {
+            assertContainsFields(
+                logger.messages[0],
+                {message_type: 'eliot_js:action_leaked',
+                 reason: 'timeout'})
+            tracker.clear()
+            done()
+        }, 10)
+    })
+
+    /** @test {ActionTracker} */
+    it('does not report actions again at exit', function(done) {
+        const logger = new MemoryLogger(),
+              tracker = new ActionTracker({timeout: 0.001}),
+              action = makeAction(logger)
+        tracker._started(action)
+        setTimeout(() => {
+            tracker.reportOpen()
+            assert.strictEqual(logger.messages.length, 1)
+            assert.strictEqual(tracker.openActions().length, 1)
+            tracker.clear()
+            done()
+        }, 10)
+    })
+
+    /** @test {ActionTracker} */
+    it('does not report actions finished before the timeout', function(done) {
+        const logger = new MemoryLogger(),
+              tracker = new ActionTracker({timeout: 0.001}),
+              action = makeAction(logger)
+        tracker._started(action)
+        tracker._finished(action)
+        setTimeout(() => {
+            assert.deepEqual(logger.messages, [])
+            done()
+        }, 10)
+    })
+})
+
+
+describe('trackActions', function() {
+    /** @test {trackActions} */
+    it('tracks actions until stopped', function() {
+        const logger = new MemoryLogger(),
+              stop = trackActions({reportOnExit: false})
+        try {
+            const action = startTask(logger, 'sys:me')
+            assert.strictEqual(openActions().length, 1)
+            action.finish()
+            assert.deepEqual(openActions(), [])
+            startTask(logger, 'sys:me')
+        } finally {
+            stop()
+        }
+        assert.deepEqual(openActions(), [])
+    })
+
+    /** @test {trackActions} */
+    it('does not track actions run with withAction once they finish', function() {
+        const stop = trackActions({reportOnExit: false})
+        try {
+            withAction(startTask(new MemoryLogger(), 'sys:me'), () => {
+                assert.strictEqual(openActions().length, 1)
+            })
+            assert.deepEqual(openActions(), [])
+        } finally {
+            stop()
+        }
+    })
+
+    /** @test {trackActions} */
+    it('cannot be enabled twice', function() {
+        const stop = trackActions({reportOnExit: false})
+        try {
+            assert.throws(() => trackActions(), /already being tracked/)
+        } finally {
+            stop()
+        }
+    })
+
+    /** @test {trackActions} */
+    it('reports open actions on exit', function() {
+        const logger = new MemoryLogger(),
+              before = process.listeners('exit'),
+              stop = trackActions()
+        try {
+            const hook = process.listeners('exit').filter(
+                f => before.indexOf(f) === -1)[0]
+            startTask(logger, 'sys:me')
+            hook()
+            assertContainsFields(
+                logger.messages[1],
+                {message_type: 'eliot_js:action_leaked',
+                 reason: 'exit'})
+        } finally {
+            stop()
+        }
+        assert.deepEqual(process.listeners('exit'), before)
+    })
+})
+
+
+describe('openActions', function() {
+    /** @test {openActions} */
+    it('is empty when actions are not tracked', function() {
+        startTask(new MemoryLogger(), 'sys:me')
+        assert.deepEqual(openActions(), [])
+    })
+})
+
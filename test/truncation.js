@@ -0,0 +1,141 @@
+import {assert} from 'chai'
+
+import {Destinations, Logger} from '../src/output'
+import {configureTruncation,
+        TRUNCATION_MESSAGE_TYPE,
+        Truncator} from '../src/truncation'
+
+
+/** @test {Truncator} */
+describe('Truncator', function() {
+    describe('#truncate', function() {
+        /** @test {Truncator#truncate} */
+        it('returns messages within the limits unchanged', function() {
+            const truncator = new Truncator(),
+                  dict = {a: 'hello', b: [1, 2, 3], c: {d: {e: 1}}}
+            assert.strictEqual(truncator.truncate(dict), dict)
+            assert.isNull(truncator._report())
+        })
+
+        /** @test {Truncator#truncate} */
+        it('truncates long strings', function() {
+            const truncator = new Truncator({maxStringLength: 3})
+            assert.deepEqual(
+                truncator.truncate({a: 'abcdef', b: ['abcd'], c: 'abc'}),
+                {a: 'abc[3 more characters]',
+                 b: ['abc[1 more characters]'],
+                 c: 'abc'})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('truncates long arrays', function() {
+            const truncator = new Truncator({maxArrayLength: 2})
+            assert.deepEqual(
+                truncator.truncate({a: [1, 2, 3, 4], b: {c: [1, 2, 3]}}),
+                {a: [1, 2, '[2 more items]'],
+                 b: {c: [1, 2, '[1 more items]']}})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('truncates deeply nested values', function() {
+            const truncator = new Truncator({maxDepth: 2})
+            assert.deepEqual(
+                truncator.truncate({a: {b: {c: {d: 1}}, e: [[1]]}, f: 1}),
+                {a: {b: {c: '[MaxDepth]'}, e: ['[MaxDepth]']}, f: 1})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('truncates the JSON form of objects', function() {
+            const truncator = new Truncator({maxArrayLength: 1}),
+                  error = new Error('Nope')
+            assert.deepEqual(
+                truncator.truncate({a: new Set([1, 2]), error}),
+                {a: [1, '[1 more items]'],
+                 error: {name: 'Error', message: 'Nope'}})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('omits the largest fields of oversized messages', function() {
+            const truncator = new Truncator({maxSize: 75}),
+                  dict = {a: 'x'.repeat(30),
+                          b: 'y'.repeat(20),
+                          c: 'z'.repeat(10)}
+            assert.deepEqual(
+                truncator.truncate(dict),
+                {a: '[32 bytes omitted]',
+                 b: 'y'.repeat(20),
+                 c: 'z'.repeat(10)})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('never truncates preserved fields', function() {
+            const truncator = new Truncator({maxSize: 10})
+            assert.deepEqual(
+                truncator.truncate({message_type: 'hello', x: 'abc'},
+                                   ['message_type']),
+                {message_type: 'hello', x: '[5 bytes omitted]'})
+        })
+
+        /** @test {Truncator#truncate} */
+        it('does not mutate the message', function() {
+            const truncator = new Truncator({maxStringLength: 1}),
+                  dict = {a: 'abc', b: {c: 'def'}}
+            truncator.truncate(dict)
+            assert.deepEqual(dict, {a: 'abc', b: {c: 'def'}})
+        })
+    })
+
+    describe('#_report', function() {
+        /** @test {Truncator#_report} */
+        it('reports the number of truncations', function() {
+            const truncator = new Truncator({maxStringLength: 1})
+            truncator.truncate({a: 'abc', b: 'def'})
+            truncator.truncate({a: 'abc'})
+            truncator.truncate({a: 'a'})
+            const report = truncator._report()
+            assert.strictEqual(report.message_type, TRUNCATION_MESSAGE_TYPE)
+            assert.strictEqual(report.truncations, 3)
+            assert.strictEqual(report.messages, 2)
+            assert.isNull(truncator._report())
+        })
+
+        /** @test {Truncator#_report} */
+        it('reports at most once per interval', function() {
+            const truncator = new Truncator({maxStringLength: 1,
+                                             reportInterval: 60})
+            truncator.truncate({a: 'abc'})
+            assert.isNotNull(truncator._report())
+            truncator.truncate({a: 'abc'})
+            assert.isNull(truncator._report())
+            truncator._reportAt = 0
+            assert.strictEqual(truncator._report().truncations, 1)
+        })
+    })
+})
+
+
+/** @test {configureTruncation} */
+describe('configureTruncation', function() {
+    it('truncates messages before destinations see them', function() {
+        const destinations = new Destinations(),
+              logger = new Logger(destinations),
+              dest = [],
+              remove = configureTruncation({maxStringLength: 2})
+        destinations.add(Array.prototype.push.bind(dest))
+        try {
+            logger.write({message_type: 'long:type', x: 'abc'})
+            logger.write({message_type: 'long:type', x: 'abc'})
+        } finally {
+            remove()
+        }
+        logger.write({message_type: 'long:type', x: 'abc'})
+        assert.deepEqual(dest[0], {message_type: 'long:type',
+                                   x: 'ab[1 more characters]'})
+        assert.strictEqual(dest[1].message_type, TRUNCATION_MESSAGE_TYPE)
+        assert.strictEqual(dest[1].truncations, 1)
+        assert.deepEqual(dest[2], {message_type: 'long:type',
+                                   x: 'ab[1 more characters]'})
+        assert.deepEqual(dest[3], {message_type: 'long:type', x: 'abc'})
+        assert.strictEqual(dest.length, 4)
+    })
+})
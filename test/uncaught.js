@@ -0,0 +1,293 @@
+import {assert} from 'chai'
+import {EventEmitter} from 'events'
+
+import {Action, TaskLevel, startTask, withAction} from '../src/action'
+import {Destinations, Logger, MemoryLogger} from '../src/output'
+import {assertContainsFields} from '../src/testing'
+import {trackActions} from '../src/tracking'
+import {installUncaughtHandler} from '../src/uncaught'
+
+
+/** A minimal stand-in for a browser `window`. */
+class FakeWindow {
+    constructor() {
+        this.listeners = {}
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).concat([listener])
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = this.listeners[type].filter(f => f !== listener)
+    }
+
+    dispatch(type, event) {
+        for (const listener of this.listeners[type] || []) {
+            listener(event)
+        }
+    }
+}
+
+
+/** A stand-in for `process` that records how it is asked to exit. */
+class FakeProcess extends EventEmitter {
+    constructor() {
+        super()
+        this.exitCode = undefined
+        this.exited = []
+        this.exiting = new Promise(resolve => {
+            this._resolveExiting = resolve
+        })
+    }
+
+    exit(code) {
+        this.exited.push(code)
+        this._resolveExiting()
+    }
+}
+
+
+describe('installUncaughtHandler', function() {
+    describe('in Node', function() {
+        /** @test {installUncaughtHandler} */
+        it('logs uncaught exceptions', function() {
+            const logger = new MemoryLogger(),
+                  target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({logger, target}),
+                  error = new Error('Nope')
+            target.emit('uncaughtExceptionMonitor', error)
+            uninstall()
+            assertContainsFields(
+                logger.messages[0],
+                {message_type: 'eliot_js:traceback',
+                 reason: error,
+                 exception: 'Error'})
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('logs unhandled rejections, even of non-errors', function() {
+            const logger = new MemoryLogger(),
+                  target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({logger, target})
+            target.emit('unhandledRejection', 'Nope')
+            uninstall()
+            assertContainsFields(
+                logger.messages[0],
+                {message_type: 'eliot_js:traceback',
+                 reason: 'Nope',
+                 exception: 'String'})
+            logger.validate()
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('exits after logging an unhandled rejection', function() {
+            const logger = new MemoryLogger(),
+                  target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({logger, target})
+            target.emit('unhandledRejection', new Error('Nope'))
+            return target.exiting.then(() => {
+                uninstall()
+                assert.strictEqual(logger.messages.length, 1)
+                assert.strictEqual(target.exitCode, 1)
+                assert.deepEqual(target.exited, [1])
+            })
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('flushes destinations before exiting', function() {
+            const destinations = new Destinations(),
+                  target = new FakeProcess(),
+                  written = [],
+                  flushed = []
+            let finishFlush
+            destinations.add({
+                write: message => { written.push(message) },
+                flush: () => new Promise(resolve => {
+                    finishFlush = resolve
+                }).then(() => { flushed.push(written.length) }),
+            })
+            const uninstall = installUncaughtHandler({
+                logger: new Logger(destinations), destinations, target})
+            target.emit('unhandledRejection', new Error('Nope'))
+            return new Promise(resolve => setTimeout(resolve, 10))
+                .then(() => {
+                    assert.deepEqual(target.exited, [])
+                    finishFlush()
+                    return target.exiting
+                })
+                .then(() => {
+                    uninstall()
+                    assert.deepEqual(flushed, [1])
+                    assert.deepEqual(
+                        written.map(m => m.message_type),
+                        ['eliot_js:traceback'])
+                    assert.deepEqual(target.exited, [1])
+                })
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('exits once the flush times out', function() {
+            const destinations = new Destinations(),
+                  target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({
+                      logger: new MemoryLogger(),
+                      destinations,
+                      timeout: 0.01,
+                      target})
+            destinations.add({write: () => null,
+                              flush: () => new Promise(() => null)})
+            target.emit('unhandledRejection', new Error('Nope'))
+            return target.exiting.then(() => {
+                uninstall()
+                assert.deepEqual(target.exited, [1])
+            })
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('raises unhandled rejections as uncaught exceptions', function() {
+            const target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({
+                      logger: new MemoryLogger(),
+                      destinations: new Destinations(),
+                      target}),
+                  error = new Error('Nope'),
+                  raised = new Promise(resolve => {
+                      target.on('uncaughtException', (...args) => resolve(args))
+                  })
+            target.emit('unhandledRejection', error)
+            return raised.then(args => {
+                uninstall()
+                assert.deepEqual(args, [error, 'unhandledRejection'])
+                assert.deepEqual(target.exited, [])
+                assert.strictEqual(target.exitCode, undefined)
+            })
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('leaves unhandled rejections handled elsewhere alone', function() {
+            const target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({
+                      logger: new MemoryLogger(), target}),
+                  handled = []
+            target.on('unhandledRejection', reason => handled.push(reason))
+            target.emit('unhandledRejection', 'Nope')
+            uninstall()
+            assert.deepEqual(handled, ['Nope'])
+            assert.deepEqual(target.exited, [])
+        })
+
+        /** @test {installUncaughtHandler} */
+        it('uninstalls cleanly', function() {
+            const target = new FakeProcess(),
+                  uninstall = installUncaughtHandler({target})
+            uninstall()
+            assert.strictEqual(
+                target.listenerCount('uncaughtExceptionMonitor'), 0)
+            assert.strictEqual(target.listenerCount('unhandledRejection'), 0)
+        })
+    })
+
+    describe('in browsers', function() {
+        /** @test {installUncaughtHandler} */
+        it('logs errors and unhandled rejections', function() {
+            const logger = new MemoryLogger(),
+                  target = new FakeWindow(),
+                  uninstall = installUncaughtHandler({logger, target})
+            target.dispatch('error', {error: new TypeError('Nope')})
+            target.dispatch('unhandledrejection', {reason: new Error('Nah')})
+            uninstall()
+            target.dispatch('error', {error: new Error('Ignored')})
+            assert.deepEqual(
+                logger.messages.map(m => m.exception), ['TypeError', 'Error'])
+        })
+    })
+
+    /** @test {installUncaughtHandler} */
+    it('logs within the action that failed with the error', function() {
+        const logger = new MemoryLogger(),
+              target = new FakeProcess(),
+              uninstall = installUncaughtHandler({target}),
+              error = new Error('Nope'),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        try {
+            withAction(action, () => { throw error })
+        } catch (e) {
+            target.emit('uncaughtExceptionMonitor', e)
+        } finally {
+            uninstall()
+        }
+        assertContainsFields(
+            logger.messages[1],
+            {message_type: 'eliot_js:traceback',
+             task_uuid: 'uuid',
+             task_level: [2]})
+    })
+
+    /** @test {installUncaughtHandler} */
+    it('logs within the current action', function() {
+        const logger = new MemoryLogger(),
+              target = new FakeProcess(),
+              uninstall = installUncaughtHandler({target}),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        action.run(() => target.emit('unhandledRejection', new Error('Nope')))
+        uninstall()
+        assertContainsFields(
+            logger.messages[0],
+            {message_type: 'eliot_js:traceback',
+             task_uuid: 'uuid'})
+    })
+
+    /** @test {installUncaughtHandler} */
+    it('optionally finishes the current action as failed', function() {
+        const logger = new MemoryLogger(),
+              target = new FakeProcess(),
+              uninstall = installUncaughtHandler({finishActions: true, target}),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        action.run(() => target.emit('unhandledRejection', new Error('Nope')))
+        uninstall()
+        assertContainsFields(
+            logger.messages[1],
+            {action_status: 'failed',
+             reason: 'Error: Nope'})
+    })
+
+    /** @test {installUncaughtHandler} */
+    it('finishes actions as failed for rejections without a reason', function() {
+        const logger = new MemoryLogger(),
+              target = new FakeProcess(),
+              uninstall = installUncaughtHandler({finishActions: true, target}),
+              action = new Action(logger, 'uuid', new TaskLevel([]), 'sys:me')
+        action.run(() => target.emit('unhandledRejection', undefined))
+        uninstall()
+        assertContainsFields(
+            logger.messages[1],
+            {action_status: 'failed',
+             reason: 'Error: Rejected with undefined'})
+    })
+
+    /** @test {installUncaughtHandler} */
+    it('optionally finishes open actions of the task when tracked', function() {
+        const logger = new MemoryLogger(),
+              target = new FakeProcess(),
+              stop = trackActions({reportOnExit: false}),
+              uninstall = installUncaughtHandler({finishActions: true, target}),
+              parent = startTask(logger, 'sys:parent'),
+              child = parent.child(logger, 'sys:child'),
+              error = new Error('Nope')
+        child._start({})
+        try {
+            withAction(child, () => { throw error })
+        } catch (e) {
+            target.emit('uncaughtExceptionMonitor', e)
+        } finally {
+            uninstall()
+            stop()
+        }
+        assert.strictEqual(parent._finished, true)
+        assertContainsFields(
+            logger.messages[logger.messages.length - 1],
+            {action_type: 'sys:parent',
+             action_status: 'failed'})
+    })
+})
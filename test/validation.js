@@ -2,6 +2,7 @@ import {assert} from 'chai'
 
 import {withAction} from '../src/action'
 import {addDestination, MemoryLogger} from '../src/output'
+import {drop, mask} from '../src/redaction'
 import {BoundField,
         Field,
         fields,
@@ -174,6 +175,30 @@ describe('BoundField', function() {
 })
 
 
+describe('Field#sensitive', function() {
+    /** @test {Field#sensitive} */
+    it('creates a redacted copy of the field', function() {
+        const strategy = drop(),
+              field = Field.forTypes(['string'], 'Token', greaterThanTen),
+              sensitive = field.sensitive(strategy)
+        assert.isNull(field.redaction)
+        assert.strictEqual(sensitive.redaction, strategy)
+        assert.strictEqual(sensitive.description, 'Token')
+        assert.throws(() => sensitive.validate(123), ValidationError)
+    })
+
+    /** @test {BoundField#sensitive} */
+    it('is preserved by fields', function() {
+        const strategy = drop(),
+              [token] = fields({
+                  token: BoundField.forTypes('x', ['string'], 'Token')
+                      .sensitive(strategy)})
+        assert.strictEqual(token.key, 'token')
+        assert.strictEqual(token.field.redaction, strategy)
+    })
+})
+
+
 describe('fields', function() {
     /** @test {fields} */
     it('creates BoundField instances with the given keys', function() {
@@ -265,6 +290,20 @@ describe('_MessageSerializer', function() {
         assert.include(e.message, 'timestamp is reserved')
     })
 
+    it('throws if constructed with `eliot_duration`', function() {
+        const e = assert.throws(
+            () => new _MessageSerializer(
+                [BoundField.create('message_type', x => x, ''),
+                 BoundField.create('eliot_duration', x => x, '')]))
+        assert.include(e.message, 'eliot_duration is reserved')
+    })
+
+    it('allows a `duration` field', function() {
+        new _MessageSerializer(
+            [BoundField.create('message_type', x => x, ''),
+             BoundField.create('duration', x => x, '')])
+    })
+
     it('throws if constructed with any `_`-prefixed field', function() {
         const e = assert.throws(
             () => new _MessageSerializer(
@@ -311,6 +350,39 @@ describe('_MessageSerializer', function() {
                  length: 8,
                  extra: 123})
         })
+
+        /** @test {_MessageSerializer#serialize} */
+        it('redacts sensitive fields after serializing them', function() {
+            const serializer = new _MessageSerializer(
+                [BoundField.forValue('message_type', 'mymessage', 'The type'),
+                 BoundField.create('card', x => x.number, 'Card number')
+                     .sensitive(mask({keep: 4})),
+                 BoundField.forTypes('token', ['string'], 'Token')
+                     .sensitive(drop())]),
+                  message = {message_type: 'mymessage',
+                             card: {number: '4111111111111111'},
+                             token: 'secret'}
+            serializer.serialize(message)
+            assert.deepEqual(
+                message,
+                {message_type: 'mymessage',
+                 card: '************1111'})
+        })
+
+        /** @test {_MessageSerializer#serialize} */
+        it('can leave sensitive fields unredacted', function() {
+            const serializer = new _MessageSerializer(
+                [BoundField.forValue('message_type', 'mymessage', 'The type'),
+                 BoundField.forTypes('token', ['string'], 'Token')
+                     .sensitive(drop())]),
+                  message = {message_type: 'mymessage',
+                             token: 'secret'}
+            serializer.serialize(message, false)
+            assert.deepEqual(
+                message,
+                {message_type: 'mymessage',
+                 token: 'secret'})
+        })
     })
 })
 